@@ -0,0 +1,237 @@
+/*
+balance.js
+Balance report for the levels of public/levels/levels.json. A Bot plays many seeded rounds of every
+level through the headless GameSimulation, and the report shows, per level, how long it survived,
+how rounds ended, the spread of scores and accuracy, and a difficulty curve: the share of rounds
+still alive at each tenth of the match. It ends by checking, for each mode played, that its levels
+named Beginner < Intermediate < Professional hold, i.e. that each of them lets the bot survive less
+of the match than the one before or, where the bot survives as much of both, makes it lose health
+faster or, failing that, score less per minute. Survival alone saturates: once the bot lives through
+every round of two levels their shares are both 100%, and in the scenario modes nothing can hit the
+player at all, so score is what is left to tell them apart.
+
+Usage: npm run balance -- [options]
+  --rounds N         rounds per level (default 20); round i uses the seed "<seed>-i"
+  --seed TEXT        seed prefix (default "balance")
+  --mode NAME        the levels of this mode (default "survival", see src/core/modes.js)
+  --levels a,b       these level ids instead, of any mode
+  --reaction S       bot reaction time in seconds
+  --aim-error DEG    bot aim error (standard deviation) in degrees
+  --fire-rate N      bot trigger pulls per second
+  --json             print the numbers as JSON instead of the report
+  --strict           exit with code 1 when the difficulty order doesn't hold (needs two levels of
+                     the order in one mode)
+
+Purpose
+Its purpose is to make tuning targetSpeed, targetCount, targetSize and collisionDistance a matter of
+rerunning one command and comparing numbers instead of guesswork.
+*/
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { GameSimulation } from '../src/core/GameSimulation.js';
+import { Bot, BOT_DEFAULTS } from '../src/core/Bot.js';
+import { GAME_MODE_NAMES } from '../src/core/modes.js';
+import { Random } from '../src/systems/Random.js';
+import { validateManifest } from '../src/levels/schema.js';
+
+const STEP = 1 / 60; // GameClock's fixed step
+const MAX_ROUND_TIME = 1000; // seconds; a round that hasn't ended by then is reported as unfinished
+const CURVE_POINTS = 10; // difficulty curve samples, at each tenth of the match
+const ORDER = ['Beginner', 'Intermediate', 'Professional']; // level names, expected from easiest to hardest
+
+const { values: options } = parseArgs({
+    options: {
+        rounds: { type: 'string', default: '20' },
+        seed: { type: 'string', default: 'balance' },
+        mode: { type: 'string', default: 'survival' },
+        levels: { type: 'string' },
+        reaction: { type: 'string', default: String(BOT_DEFAULTS.reactionTime) },
+        'aim-error': { type: 'string', default: String(BOT_DEFAULTS.aimError) },
+        'fire-rate': { type: 'string', default: String(BOT_DEFAULTS.fireRate) },
+        json: { type: 'boolean', default: false },
+        strict: { type: 'boolean', default: false }
+    }
+});
+
+function number(name, min) {
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || value < min) {
+        console.error(`--${name} must be a number of at least ${min}, got "${options[name]}"`);
+        process.exit(2);
+    }
+    return value;
+}
+
+const rounds = Math.floor(number('rounds', 1));
+const skill = {
+    reactionTime: number('reaction', 0),
+    aimError: number('aim-error', 0),
+    fireRate: number('fire-rate', 0.1)
+};
+
+// One bot round of a level; returns its summary plus the share of the match it survived (0..1), the
+// share of its health it lost and the points it scored per minute survived
+function playRound(level, seed) {
+    const random = new Random(`bot-${seed}`);
+    let bot = null;
+    const simulation = new GameSimulation({}, { onAim: (delta) => bot.update(delta) });
+    bot = new Bot(simulation, skill, random.next);
+
+    simulation.start(level, { seed });
+    for (let steps = 0; simulation.running && steps < MAX_ROUND_TIME / STEP; steps++) {
+        simulation.update(STEP);
+    }
+
+    const summary = simulation.summary();
+    // Only a round lost to a hit ends early; in wave mode the timer stops between waves, so cap it
+    const survived = summary.reason === 'hit' ? Math.min(1, summary.timeSurvived / level.gameTime) : 1;
+    const healthLost = (simulation.maxHealth - simulation.health) / simulation.maxHealth;
+    const perMinute = (value) => summary.timeSurvived > 0 ? value / summary.timeSurvived * 60 : 0;
+    return {
+        ...summary,
+        reason: summary.reason || 'unfinished',
+        survived,
+        healthLostPerMinute: perMinute(healthLost),
+        scorePerMinute: perMinute(summary.score)
+    };
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+}
+
+function distribution(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return {
+        mean: mean(sorted),
+        min: sorted[0],
+        p25: percentile(sorted, 25),
+        median: percentile(sorted, 50),
+        p75: percentile(sorted, 75),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+function analyse(level) {
+    const results = [];
+    for (let i = 1; i <= rounds; i++) {
+        results.push(playRound(level, `${options.seed}-${i}`));
+    }
+
+    const outcomes = {};
+    results.forEach(({ reason }) => {
+        outcomes[reason] = (outcomes[reason] || 0) + 1;
+    });
+
+    // Share of rounds still going at each tenth of the match
+    const curve = [];
+    for (let i = 0; i <= CURVE_POINTS; i++) {
+        const share = i / CURVE_POINTS;
+        curve.push(results.filter(result => result.survived >= share).length / results.length);
+    }
+
+    return {
+        id: level.id,
+        name: level.name,
+        mode: level.mode,
+        level: {
+            gameTime: level.gameTime,
+            targetCount: level.targetCount,
+            targetSpeed: level.targetSpeed,
+            targetSize: level.targetSize,
+            collisionDistance: level.collisionDistance,
+            waves: level.waves ? level.waves.length : null
+        },
+        survivedSeconds: distribution(results.map(result => result.timeSurvived)),
+        survivedShare: mean(results.map(result => result.survived)),
+        healthLostPerMinute: mean(results.map(result => result.healthLostPerMinute)),
+        outcomes,
+        score: distribution(results.map(result => result.score)),
+        scorePerMinute: mean(results.map(result => result.scorePerMinute)),
+        accuracy: distribution(results.map(result => result.accuracy)),
+        curve
+    };
+}
+
+// Harder than the level before: the bot survives less of the match, or as much but loses health
+// faster, or loses it as fast but scores less per minute
+function harder(report, previous) {
+    if (report.survivedShare !== previous.survivedShare) return report.survivedShare < previous.survivedShare;
+    if (report.healthLostPerMinute !== previous.healthLostPerMinute) return report.healthLostPerMinute > previous.healthLostPerMinute;
+    return report.scorePerMinute < previous.scorePerMinute;
+}
+
+// Per mode played, each of its levels named in ORDER must be harder than the one before. Modes with
+// fewer than two of them have nothing to compare and are left out.
+function checkOrder(reports) {
+    const modes = [...new Set(reports.map(report => report.mode))];
+    const checks = modes
+        .map(mode => ORDER.map(name => reports.find(report => report.mode === mode && report.name === name)).filter(Boolean))
+        .filter(ordered => ordered.length > 1)
+        .map(ordered => ({
+            mode: ordered[0].mode,
+            levels: ordered.map(report => report.id),
+            holds: ordered.every((report, i) => i === 0 || harder(report, ordered[i - 1]))
+        }));
+    return { checks, holds: checks.every(check => check.holds) };
+}
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+const fixed = (value) => value.toFixed(1).padStart(6);
+
+function printReport(reports, order) {
+    console.log(`Balance report: ${rounds} round${rounds === 1 ? '' : 's'} per level (seeds "${options.seed}-1".."${options.seed}-${rounds}")`);
+    console.log(`Bot: reaction ${skill.reactionTime} s, aim error ${skill.aimError}°, ${skill.fireRate} shots/s`);
+
+    reports.forEach(({ name, level, survivedSeconds, survivedShare, healthLostPerMinute, outcomes, score, accuracy, curve }) => {
+        const shape = `${level.gameTime} s, ${level.targetCount} targets, speed ${level.targetSpeed}, size ${level.targetSize}, collision ${level.collisionDistance}`;
+        console.log(`\n${name} (${shape}${level.waves ? `, ${level.waves} waves` : ''})`);
+        console.log(`  survived   mean ${fixed(survivedSeconds.mean)} s  median ${fixed(survivedSeconds.median)} s  min ${fixed(survivedSeconds.min)} s  max ${fixed(survivedSeconds.max)} s  (${percent(survivedShare)} of the match)`);
+        console.log(`  health     ${percent(healthLostPerMinute)} lost per minute`);
+        console.log(`  outcome    ${Object.entries(outcomes).map(([reason, count]) => `${reason} ${count}`).join('  ')}`);
+        console.log(`  score      min ${fixed(score.min)}  p25 ${fixed(score.p25)}  median ${fixed(score.median)}  p75 ${fixed(score.p75)}  max ${fixed(score.max)}`);
+        console.log(`  accuracy   mean ${fixed(accuracy.mean)}%  median ${fixed(accuracy.median)}%`);
+        console.log('  alive at   ' + curve.map((share, i) => `${i * 10}%:${percent(share)}`).join(' '));
+    });
+
+    order.checks.forEach(({ mode, levels, holds }) => {
+        const ordered = levels.map(id => reports.find(report => report.id === id));
+        const names = ordered.map(report => report.name).join(' < ');
+        const shares = ordered.map(report => percent(report.survivedShare)).join(' / ');
+        const losses = ordered.map(report => percent(report.healthLostPerMinute)).join(' / ');
+        const scores = ordered.map(report => Math.round(report.scorePerMinute)).join(' / ');
+        console.log(`\nDifficulty order (${mode}) ${names} (match survived ${shares}, health lost per minute ${losses}, ` +
+            `score per minute ${scores}): ${holds ? 'holds' : 'DOES NOT HOLD'}`);
+    });
+}
+
+const manifest = validateManifest(JSON.parse(readFileSync(new URL('../public/levels/levels.json', import.meta.url), 'utf8')));
+const wanted = options.levels ? options.levels.split(',') : null;
+const unknown = wanted ? wanted.filter(id => !manifest.some(level => level.id === id)) : [];
+if (unknown.length > 0) {
+    console.error(`Unknown level id${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+    process.exit(2);
+}
+
+if (!GAME_MODE_NAMES.includes(options.mode)) {
+    console.error(`Unknown mode "${options.mode}" (expected one of ${GAME_MODE_NAMES.join(', ')})`);
+    process.exit(2);
+}
+
+const reports = manifest.filter(level => wanted ? wanted.includes(level.id) : level.mode === options.mode).map(analyse);
+const order = checkOrder(reports);
+if (options.strict && order.checks.length === 0) {
+    console.error(`--strict needs at least two of the ${ORDER.join(', ')} levels of one mode to compare`);
+    process.exit(2);
+}
+if (options.json) {
+    console.log(JSON.stringify({ rounds, seed: options.seed, bot: skill, levels: reports, order }, null, 2));
+} else {
+    printReport(reports, order);
+}
+if (options.strict && !order.holds) process.exit(1);
@@ -0,0 +1,121 @@
+/*
+AssetLoader.js
+The AssetLoader class loads the assets of manifest.js. Each asset tries its URLs in order (local
+first, then mirrors); every URL gets a timeout and a few retries with a growing delay before the
+next one is tried. An asset whose URLs all fail is not an error: it resolves to null and is listed
+as degraded, and the caller applies that asset's fallback. Every asset reports to a
+THREE.LoadingManager as one item, so the loading screen's progress bar counts assets rather than
+attempts, and a request that hangs can never keep the loading screen up.
+
+skip() gives up on everything still loading (the loading screen's "continue with fallbacks"): those
+assets resolve to null straight away and anything that arrives later is ignored.
+
+Purpose
+Its purpose is to make startup survive a missing file, a slow CDN or no network at all, while the
+game code only decides what each asset (or its fallback) is used for.
+*/
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+const DEFAULT_TIMEOUT = 10000; // ms per attempt
+const DEFAULT_RETRIES = 1; // extra attempts per URL
+const RETRY_DELAY = 500; // ms before the first retry, doubled for each one after
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Rejects if promise has not settled within ms
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms / 1000} s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createLoader(type) {
+    switch (type) {
+        case 'json':
+            return new THREE.FileLoader().setResponseType('json');
+        case 'texture':
+            return new THREE.TextureLoader();
+        case 'gltf':
+            return new GLTFLoader();
+        case 'audio':
+            return new THREE.AudioLoader();
+        default:
+            throw new Error(`Unknown asset type "${type}"`);
+    }
+}
+
+export class AssetLoader {
+    constructor(loadingManager) {
+        this.loadingManager = loadingManager;
+        this.loaders = {}; // type -> three.js loader, shared by every asset of that type
+        this.degraded = []; // { name, label, fallback, reason } for every asset that fell back
+        this.skipped = false;
+        this.skipCallbacks = [];
+    }
+
+    // Load every asset of manifest; onAsset(name, value) is called as each settles, with null for
+    // an asset that has to fall back. Resolves with the degraded list once all have settled.
+    async loadAll(manifest, onAsset) {
+        const names = Object.keys(manifest);
+        names.forEach(name => this.loadingManager.itemStart(name));
+
+        await Promise.all(names.map(async (name) => {
+            const value = await this.load(name, manifest[name]);
+            try {
+                onAsset(name, value);
+            } catch (err) {
+                console.error(`Asset error (${name}):`, err);
+            }
+            this.loadingManager.itemEnd(name);
+        }));
+
+        return this.degraded;
+    }
+
+    // The loaded asset, or null once every URL has failed (or skip() was called)
+    async load(name, asset) {
+        const skipped = new Promise(resolve => this.skipCallbacks.push(() => resolve({ value: null, reason: 'skipped' })));
+        const { value, reason } = await Promise.race([this.tryUrls(name, asset), skipped]);
+
+        if (value === null) {
+            this.degraded.push({ name, label: asset.label, fallback: asset.fallback, reason });
+        }
+        return value;
+    }
+
+    // { value } from the first URL that loads, or { value: null, reason } with the last error
+    async tryUrls(name, asset) {
+        if (!this.loaders[asset.type]) this.loaders[asset.type] = createLoader(asset.type);
+        const loader = this.loaders[asset.type];
+        const timeout = asset.timeout ?? DEFAULT_TIMEOUT;
+        const retries = asset.retries ?? DEFAULT_RETRIES;
+        let reason = 'no URLs';
+
+        for (const url of asset.urls) {
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                if (attempt > 0) await wait(RETRY_DELAY * Math.pow(2, attempt - 1));
+                if (this.skipped) return { value: null, reason: 'skipped' };
+
+                try {
+                    return { value: await withTimeout(loader.loadAsync(url), timeout) };
+                } catch (err) {
+                    reason = (err && err.message) || 'failed to load';
+                    console.warn(`Asset ${name}: ${url} failed (attempt ${attempt + 1}):`, reason);
+                }
+            }
+        }
+        return { value: null, reason };
+    }
+
+    // Stop waiting for assets that are still loading
+    skip() {
+        this.skipped = true;
+        this.skipCallbacks.forEach(callback => callback());
+        this.skipCallbacks = [];
+    }
+}
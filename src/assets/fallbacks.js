@@ -0,0 +1,41 @@
+/*
+fallbacks.js
+What the game uses when an asset of manifest.js cannot be loaded: a plain sky colour for the sky
+texture and a gun built from a few primitives for the gun model. Sounds fall back to the synth
+recipes of their cues (see src/audio/cues.js), and a missing level manifest only leaves the level
+selector with its error message.
+
+Purpose
+Its purpose is to keep the game fully playable with no asset files at all.
+*/
+import * as THREE from 'three';
+
+export const FALLBACK_SKY_COLOR = 0x87ceeb;
+
+// A simple pistol (slide, barrel, grip and trigger guard) at the same size as the normalised model
+export function createFallbackGun() {
+    const gun = new THREE.Group();
+    const metal = new THREE.MeshStandardMaterial({ color: 0x555b61, metalness: 0.6, roughness: 0.4 });
+    const grip = new THREE.MeshStandardMaterial({ color: 0x2b2b2b, roughness: 0.8 });
+
+    const slide = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.12, 0.6), metal);
+    slide.position.set(0, 0.06, -0.05);
+    gun.add(slide);
+
+    const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.12, 12), metal);
+    barrel.rotation.x = Math.PI / 2;
+    barrel.position.set(0, 0.06, -0.4);
+    gun.add(barrel);
+
+    const handle = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.3, 0.14), grip);
+    handle.position.set(0, -0.13, 0.14);
+    handle.rotation.x = -0.25;
+    gun.add(handle);
+
+    const guard = new THREE.Mesh(new THREE.TorusGeometry(0.05, 0.012, 6, 12, Math.PI), metal);
+    guard.rotation.set(Math.PI, Math.PI / 2, 0);
+    guard.position.set(0, -0.02, -0.02);
+    gun.add(guard);
+
+    return gun;
+}
@@ -0,0 +1,44 @@
+/*
+manifest.js
+Every file the game loads at startup. Each asset lists its URLs in the order they are tried: the
+local copy under public first, then any mirrors. type picks the three.js loader ('json', 'texture',
+'gltf' or 'audio'); timeout (ms) and retries (extra attempts per URL) override the AssetLoader's
+defaults. fallback says, for the loading screen, what the game uses instead when every URL fails;
+the fallbacks themselves live in fallbacks.js and the audio cues.
+
+Purpose
+Its purpose is to keep asset locations out of the game code, so a moved file or a new mirror is a
+one-line change here.
+*/
+
+export const ASSET_MANIFEST = {
+    levels: {
+        label: 'Level manifest',
+        type: 'json',
+        urls: ['/levels/levels.json'],
+        fallback: 'no built-in levels (custom level files still work)'
+    },
+    sky: {
+        label: 'Sky texture',
+        type: 'texture',
+        urls: ['/textures/envMaps/skyinvasion.jpg'],
+        fallback: 'a plain sky colour'
+    },
+    gun: {
+        label: 'Gun model',
+        type: 'gltf',
+        // The local file is a Git LFS object; the mirror serves it when the deploy only has the pointer
+        urls: [
+            '/models/gun.glb',
+            'https://media.githubusercontent.com/media/GNR22/gungame/main/public/models/gun.glb'
+        ],
+        timeout: 15000,
+        fallback: 'a procedural gun'
+    },
+    gunshot: {
+        label: 'Pistol sound',
+        type: 'audio',
+        urls: ['/sounds/glocksound.mp3'],
+        fallback: 'a synthesised pistol shot'
+    }
+};
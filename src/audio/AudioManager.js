@@ -0,0 +1,213 @@
+/*
+AudioManager.js
+The AudioManager class owns all of the game's sound. It creates the AudioListener on the camera and
+routes every sound through a volume bus ('sfx' or 'music') and the listener's master volume. Cues
+from cues.js without a recording are synthesised (synth.js) as soon as they are registered; cues
+with one wait for the AssetLoader to hand it over through setAsset(), which synthesises them instead
+when the recording could not be loaded, so every cue always plays. Browsers keep audio silent until
+start() is called from a user gesture.
+
+play(name) plays a one-shot cue from a small pool of THREE.Audio objects, so rapid fire never cuts
+a sound off; cues with a duck amount briefly turn the music down. The music loops on its own bus,
+and setHeldDuck() keeps it down for as long as needed (e.g. the pause menu). Targets are drawn
+through instanced meshes, so they have no objects of their own to carry a sound: instead a few
+emitters, each an Object3D with a looping THREE.PositionalAudio hum, follow the nearest moving
+targets every frame, which is what a player can actually hear anyway. bindEvents() plays the cues
+of the game events (shots, misses, hits, kills, damage, game over) from the EventBus.
+
+Purpose
+Its purpose is to give the game one place for audio (loading, fallbacks, mixing and 3D sound) so
+gameplay code only says which cue happened.
+*/
+import * as THREE from 'three';
+import { synthesize } from './synth.js';
+
+const EMITTER_COUNT = 6; // targets heard at once
+const DUCK_ATTACK = 0.05; // seconds (time constant) to duck the music
+const DUCK_RELEASE = 0.4; // seconds (time constant) to bring it back
+
+export class AudioManager {
+    constructor(camera, scene) {
+        this.camera = camera;
+        this.scene = scene;
+        this.listener = new THREE.AudioListener();
+        camera.add(this.listener);
+        this.context = this.listener.context;
+
+        // sfx -> listener; music -> ducker -> listener. The listener applies the master volume.
+        this.ducker = this.context.createGain();
+        this.ducker.connect(this.listener.getInput());
+        this.buses = {
+            sfx: this.context.createGain(),
+            music: this.context.createGain()
+        };
+        this.buses.sfx.connect(this.listener.getInput());
+        this.buses.music.connect(this.ducker);
+        this.heldDuck = 0;
+
+        this.cues = {}; // name -> { config, buffer, sounds, next }
+        this.musicWanted = null; // cue name to loop once its buffer is ready
+        this.music = null;
+        this.emitters = []; // { object, sound, target }
+        this.nearest = []; // targets the emitters follow this frame, closest first
+        this.distances = new Array(EMITTER_COUNT).fill(0); // their squared distances
+    }
+
+    // Add cues ({ name: config }, see cues.js); those without an asset are synthesised right away
+    register(cues) {
+        Object.entries(cues).forEach(([name, config]) => {
+            this.cues[name] = { config, buffer: null, sounds: [], next: 0 };
+            if (!config.asset) this.setBuffer(name, synthesize(this.context, config.synth));
+        });
+    }
+
+    // The AudioBuffer of a manifest asset, or null if it failed to load (its cues are synthesised)
+    setAsset(asset, buffer) {
+        Object.entries(this.cues).forEach(([name, cue]) => {
+            if (cue.config.asset !== asset || cue.buffer) return;
+            this.setBuffer(name, buffer || synthesize(this.context, cue.config.synth));
+        });
+    }
+
+    // Browsers only allow audio after a user gesture, so call this from one
+    start() {
+        if (this.context.state === 'suspended') this.context.resume();
+    }
+
+    setBuffer(name, buffer) {
+        const cue = this.cues[name];
+        cue.buffer = buffer;
+
+        if (!cue.config.loop) {
+            for (let i = 0; i < (cue.config.pool || 1); i++) {
+                cue.sounds.push(this.createSound(cue, new THREE.Audio(this.listener)));
+            }
+        }
+        if (name === this.musicWanted) this.playMusic(name);
+        if (name === 'hum') this.createEmitters(cue);
+    }
+
+    // A sound for a cue, routed through the cue's bus
+    createSound(cue, sound) {
+        sound.setBuffer(cue.buffer);
+        sound.setVolume(cue.config.volume);
+        sound.setPlaybackRate(cue.config.playbackRate || 1);
+        sound.setLoop(Boolean(cue.config.loop));
+        sound.gain.disconnect();
+        sound.gain.connect(this.buses[cue.config.bus]);
+        return sound;
+    }
+
+    // Play a one-shot cue; cues that are still loading are skipped
+    play(name) {
+        const cue = this.cues[name];
+        if (!cue || cue.sounds.length === 0) return;
+
+        try {
+            const sound = cue.sounds[cue.next];
+            if (sound.isPlaying) sound.stop();
+            sound.play();
+            cue.next = (cue.next + 1) % cue.sounds.length;
+
+            if (cue.config.duck) this.duck(cue.config.duck, cue.buffer.duration);
+        } catch (err) {
+            console.error(`Error playing ${name}:`, err);
+        }
+    }
+
+    // Loop a music cue (once it has loaded)
+    playMusic(name = 'music') {
+        this.musicWanted = name;
+        const cue = this.cues[name];
+        if (!cue || !cue.buffer || this.music) return;
+
+        this.music = this.createSound(cue, new THREE.Audio(this.listener));
+        this.music.play();
+    }
+
+    // Turn the music down by amount (0..1) for duration seconds, then back to the held level
+    duck(amount, duration) {
+        const gain = this.ducker.gain;
+        const now = this.context.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setTargetAtTime(1 - Math.max(amount, this.heldDuck), now, DUCK_ATTACK);
+        gain.setTargetAtTime(1 - this.heldDuck, now + duration, DUCK_RELEASE);
+    }
+
+    // Keep the music turned down by amount until called again with 0
+    setHeldDuck(amount) {
+        this.heldDuck = amount;
+        const gain = this.ducker.gain;
+        const now = this.context.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setTargetAtTime(1 - amount, now, amount > 0 ? DUCK_ATTACK : DUCK_RELEASE);
+    }
+
+    // Cues for the game events, see EventBus.js
+    bindEvents(events) {
+        events.on('shotFired', ({ weapon, hit, decoy }) => {
+            this.play(`shot-${weapon.id}`);
+            if (!hit && !decoy) this.play('miss');
+        });
+        events.on('targetHit', ({ destroyed }) => this.play(destroyed ? 'kill' : 'hit'));
+        events.on('playerHit', () => this.play('damage'));
+        events.on('roundEnd', () => this.play('gameOver'));
+    }
+
+    // Volumes 0..1 from the settings
+    setVolumes({ master, sfx, music }) {
+        this.listener.setMasterVolume(master);
+        this.buses.sfx.gain.value = sfx;
+        this.buses.music.gain.value = music;
+    }
+
+    createEmitters(cue) {
+        for (let i = 0; i < EMITTER_COUNT; i++) {
+            const object = new THREE.Object3D();
+            const sound = this.createSound(cue, new THREE.PositionalAudio(this.listener));
+            sound.setRefDistance(4);
+            sound.setRolloffFactor(1.5);
+            sound.setVolume(0);
+            object.add(sound);
+            this.scene.add(object);
+            sound.play();
+            this.emitters.push({ object, sound, target: null });
+        }
+    }
+
+    // Move the hum emitters onto the nearest moving targets; pass [] to silence them
+    updateEmitters(targets) {
+        if (this.emitters.length === 0) return;
+
+        // Keep the EMITTER_COUNT closest targets, sorted by distance (no allocation per frame)
+        const { nearest, distances } = this;
+        nearest.length = 0;
+        for (const target of targets) {
+            if (target.destroyed || target.speed === 0) continue;
+
+            const distance = target.position.distanceToSquared(this.camera.position);
+            if (nearest.length === EMITTER_COUNT && distance >= distances[EMITTER_COUNT - 1]) continue;
+
+            let i = Math.min(nearest.length, EMITTER_COUNT - 1);
+            while (i > 0 && distances[i - 1] > distance) {
+                nearest[i] = nearest[i - 1];
+                distances[i] = distances[i - 1];
+                i--;
+            }
+            nearest[i] = target;
+            distances[i] = distance;
+        }
+
+        const volume = this.cues.hum.config.volume;
+        this.emitters.forEach((emitter, i) => {
+            const target = nearest[i] || null;
+            if (target) {
+                emitter.object.position.copy(target.position);
+                // Faster targets hum higher
+                if (target !== emitter.target) emitter.sound.setPlaybackRate(0.8 + Math.min(target.speed, 10) * 0.06);
+            }
+            if ((target === null) !== (emitter.target === null)) emitter.sound.setVolume(target ? volume : 0);
+            emitter.target = target;
+        });
+    }
+}
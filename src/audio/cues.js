@@ -0,0 +1,117 @@
+/*
+cues.js
+Every sound the game plays, as data. A cue has an optional asset (the name of a recording in
+src/assets/manifest.js), the bus it plays on ('sfx' or 'music'), its volume and playback rate, how
+many copies may overlap (pool), whether it loops, how much it ducks the music while it plays (duck,
+0..1), and the synth recipe (see synth.js) used when it has no asset or the asset fails to load.
+Only the pistol shot ships as a recording; add a file to the manifest and name it as a cue's asset
+to replace any other cue.
+
+Purpose
+Its purpose is to keep sound design in one place, so the AudioManager stays generic and the game
+code only ever asks for a cue by name.
+*/
+
+// Frequency of a MIDI note number (69 = A4 = 440 Hz)
+function note(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// An 8 second loop: a soft pad, bass and eighth-note arpeggio over Am - F - C - G
+function musicLoop() {
+    const CHORD_TIME = 2;
+    const chords = [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]];
+    const voices = [];
+
+    chords.forEach((chord, i) => {
+        const start = i * CHORD_TIME;
+        chord.forEach(midi => {
+            voices.push({ wave: 'triangle', frequency: note(midi), start, duration: CHORD_TIME, gain: 0.08, envelope: 'note' });
+        });
+        voices.push({ wave: 'sine', frequency: note(chord[0] - 12), start, duration: CHORD_TIME, gain: 0.2, envelope: 'note' });
+        for (let step = 0; step < 8; step++) {
+            const midi = chord[step % 3] + 12;
+            voices.push({ wave: 'square', frequency: note(midi), start: start + step * 0.25, duration: 0.2, gain: 0.03 });
+        }
+    });
+    return { voices };
+}
+
+export const SOUND_CUES = {
+    hit: {
+        bus: 'sfx', volume: 0.5, pool: 4,
+        synth: { voices: [{ wave: 'sine', frequency: 1400, endFrequency: 1900, duration: 0.07 }] }
+    },
+    kill: {
+        bus: 'sfx', volume: 0.5, pool: 4,
+        synth: {
+            voices: [
+                { wave: 'sine', frequency: 1200, duration: 0.08, gain: 0.8 },
+                { wave: 'sine', frequency: 1800, start: 0.06, duration: 0.12, gain: 0.8 }
+            ]
+        }
+    },
+    miss: {
+        bus: 'sfx', volume: 0.25, pool: 4,
+        synth: { voices: [{ wave: 'noise', frequency: 0, duration: 0.05, gain: 0.5 }] }
+    },
+    countdown: {
+        bus: 'sfx', volume: 0.4, pool: 2,
+        synth: { voices: [{ wave: 'sine', frequency: 660, duration: 0.15 }] }
+    },
+    go: {
+        bus: 'sfx', volume: 0.5, pool: 1,
+        synth: { voices: [{ wave: 'sine', frequency: 990, duration: 0.4 }] }
+    },
+    damage: {
+        bus: 'sfx', volume: 0.6, pool: 3, duck: 0.4,
+        synth: {
+            voices: [
+                { wave: 'sawtooth', frequency: 160, endFrequency: 60, duration: 0.3, gain: 0.6 },
+                { wave: 'noise', frequency: 0, duration: 0.15, gain: 0.4 }
+            ]
+        }
+    },
+    gameOver: {
+        bus: 'sfx', volume: 0.6, pool: 1, duck: 0.8,
+        synth: {
+            voices: [67, 64, 60, 55].map((midi, i) => ({
+                wave: 'triangle', frequency: note(midi), start: i * 0.25, duration: i === 3 ? 0.8 : 0.3
+            }))
+        }
+    },
+    // Loops on the nearest moving targets; a whole number of cycles of each wave fits the loop
+    hum: {
+        bus: 'sfx', volume: 0.35, loop: true,
+        synth: {
+            voices: [
+                { wave: 'sawtooth', frequency: 55, duration: 2, gain: 0.3, envelope: 'flat' },
+                { wave: 'sine', frequency: 110, duration: 2, gain: 0.4, envelope: 'flat' }
+            ]
+        }
+    },
+    music: {
+        bus: 'music', volume: 0.6, loop: true,
+        synth: musicLoop()
+    }
+};
+
+// One "shot-<weapon id>" cue per gun from its sound settings in weapons.js. The synthesised shot is a
+// noise crack over a tone that drops an octave from fallbackFrequency; lower guns ring longer.
+export function weaponCues(presets) {
+    const cues = {};
+    presets.forEach(({ id, sound }) => {
+        const frequency = sound.fallbackFrequency;
+        const duration = Math.min(0.25, 20 / frequency);
+        cues[`shot-${id}`] = {
+            asset: sound.asset, bus: 'sfx', volume: sound.volume, playbackRate: sound.playbackRate, pool: 5,
+            synth: {
+                voices: [
+                    { wave: 'noise', frequency: 0, duration: duration / 2, gain: 0.4 },
+                    { wave: 'square', frequency, endFrequency: frequency / 2, duration, gain: 0.3 }
+                ]
+            }
+        };
+    });
+    return cues;
+}
@@ -0,0 +1,76 @@
+/*
+synth.js
+Renders procedural sounds for cues that have no recording or whose file failed to load. A recipe
+is { voices: [...] }, each voice one tone or noise burst:
+
+{ wave: 'sine' | 'square' | 'triangle' | 'sawtooth' | 'noise', frequency, endFrequency (glides
+  there over the voice), start (seconds), duration, gain, envelope: 'decay' | 'note' | 'flat' }
+
+'decay' (the default) is a click-free attack followed by a fade to silence, for blips and hits;
+'note' holds the level and fades in and out, for music; 'flat' has no envelope at all, for loops
+whose waves line up at both ends. synthesize() mixes the voices into an AudioBuffer, so a
+synthesised cue goes through the same THREE.Audio objects, buses and panners as a recorded one.
+
+Purpose
+Its purpose is to keep every cue audible without any audio files, while the cues themselves stay
+plain data in cues.js.
+*/
+
+const ATTACK_TIME = 0.005; // seconds; long enough to avoid a click at the start
+const NOTE_FADE_TIME = 0.05; // seconds a 'note' voice fades in and out
+
+// One sample of a periodic wave at phase (in cycles)
+function waveSample(wave, phase) {
+    const t = phase - Math.floor(phase);
+    switch (wave) {
+        case 'square':
+            return t < 0.5 ? 1 : -1;
+        case 'triangle':
+            return 4 * Math.abs(t - 0.5) - 1;
+        case 'sawtooth':
+            return 2 * t - 1;
+        case 'noise':
+            return Math.random() * 2 - 1;
+        default:
+            return Math.sin(2 * Math.PI * t);
+    }
+}
+
+// Level (0..1) of a voice i samples into its length of n samples
+function envelope(type, i, n, rate) {
+    if (type === 'flat') return 1;
+
+    if (type === 'note') {
+        const fade = NOTE_FADE_TIME * rate;
+        return Math.min(1, i / fade, (n - i) / fade);
+    }
+
+    const attack = ATTACK_TIME * rate;
+    if (i < attack) return i / attack;
+    const remaining = 1 - (i - attack) / (n - attack);
+    return remaining * remaining;
+}
+
+// Mix a recipe's voices into a mono AudioBuffer for context
+export function synthesize(context, { voices }) {
+    const rate = context.sampleRate;
+    const length = Math.max(1, Math.ceil(Math.max(...voices.map(v => (v.start || 0) + v.duration)) * rate));
+    const buffer = context.createBuffer(1, length, rate);
+    const data = buffer.getChannelData(0);
+
+    voices.forEach(voice => {
+        const offset = Math.floor((voice.start || 0) * rate);
+        const n = Math.min(Math.floor(voice.duration * rate), length - offset);
+        const endFrequency = voice.endFrequency ?? voice.frequency;
+        const gain = voice.gain ?? 1;
+
+        let phase = 0;
+        for (let i = 0; i < n; i++) {
+            const frequency = voice.frequency + (endFrequency - voice.frequency) * (i / n);
+            phase += frequency / rate;
+            data[offset + i] += waveSample(voice.wave, phase) * envelope(voice.envelope, i, n, rate) * gain;
+        }
+    });
+
+    return buffer;
+}
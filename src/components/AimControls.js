@@ -0,0 +1,61 @@
+/*
+AimControls.js
+AimControls is PointerLockControls with the mouse-look handler replaced so the vertical axis can be
+inverted, plus rotate() so the gamepad's right stick can turn the camera the same way, and getAim()
+and setAim() so replays can read and restore where it points. Sensitivity still goes through
+pointerSpeed, and locking, unlocking, moveForward and moveRight are inherited unchanged.
+
+Purpose
+Its purpose is to apply the player's invert-Y setting and stick aim without forking the Three.js
+controls.
+*/
+import { Euler } from 'three';
+import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
+import { RADIANS_PER_COUNT } from '../systems/Settings.js';
+
+const euler = new Euler(0, 0, 0, 'YXZ');
+const HALF_PI = Math.PI / 2;
+
+export class AimControls extends PointerLockControls {
+    constructor(camera, domElement) {
+        super(camera, domElement);
+        this.invertY = false;
+
+        // Swap the library's mousemove listener for ours
+        this.disconnect();
+        this._onMouseMove = this.onMouseMove.bind(this);
+        this.connect();
+    }
+
+    onMouseMove(event) {
+        if (!this.isLocked) return;
+
+        const scale = RADIANS_PER_COUNT * this.pointerSpeed;
+        this.rotate(-(event.movementX || 0) * scale, -(event.movementY || 0) * scale * (this.invertY ? -1 : 1));
+    }
+
+    // Turn the camera by yaw (positive = left) and pitch (positive = up) radians
+    rotate(yaw, pitch) {
+        euler.setFromQuaternion(this.camera.quaternion);
+        euler.y += yaw;
+        euler.x += pitch;
+        euler.x = Math.max(HALF_PI - this.maxPolarAngle, Math.min(HALF_PI - this.minPolarAngle, euler.x));
+        this.camera.quaternion.setFromEuler(euler);
+
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    // The camera's current { yaw, pitch } in radians
+    getAim() {
+        euler.setFromQuaternion(this.camera.quaternion);
+        return { yaw: euler.y, pitch: euler.x };
+    }
+
+    // Point the camera at yaw and pitch radians (replays and the aim snapping use this)
+    setAim(yaw, pitch) {
+        euler.set(pitch, yaw, 0);
+        this.camera.quaternion.setFromEuler(euler);
+
+        this.dispatchEvent({ type: 'change' });
+    }
+}
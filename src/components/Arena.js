@@ -0,0 +1,61 @@
+/*
+Arena.js
+The Arena class is the floor and the four boundary walls of levels with player movement. The meshes
+are built once at unit size and scaled to the level's arenaSize, so switching levels never creates
+new geometry. Levels without movement hide the arena and keep the open sky.
+
+Purpose
+Its purpose is to give the player something to stand on and a visible edge to the area they can
+move in; the PlayerController enforces the same bounds.
+*/
+import * as THREE from 'three';
+import { EYE_HEIGHT } from './PlayerController.js';
+
+const WALL_HEIGHT = 6;
+const WALL_THICKNESS = 0.5;
+
+export class Arena {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        this.floor = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshStandardMaterial({ color: 0x2b3340, roughness: 0.9 })
+        );
+        this.floor.rotation.x = -Math.PI / 2;
+        this.floor.position.y = -EYE_HEIGHT;
+        this.group.add(this.floor);
+
+        // See-through walls so targets coming from outside the arena stay visible
+        const wallGeometry = new THREE.BoxGeometry(1, 1, 1);
+        const wallMaterial = new THREE.MeshStandardMaterial({ color: 0x4fc3f7, transparent: true, opacity: 0.2 });
+        this.walls = [0, 1, 2, 3].map(() => {
+            const wall = new THREE.Mesh(wallGeometry, wallMaterial);
+            this.group.add(wall);
+            return wall;
+        });
+
+        scene.add(this.group);
+    }
+
+    // Show the arena for a level's movement settings, or hide it when movement is off
+    configure(movement) {
+        this.group.visible = movement !== null;
+        if (!movement) return;
+
+        const size = movement.arenaSize;
+        const centreY = -EYE_HEIGHT + WALL_HEIGHT / 2;
+        this.floor.scale.set(size * 2, size * 2, 1);
+
+        const [north, south, east, west] = this.walls;
+        north.position.set(0, centreY, -size);
+        south.position.set(0, centreY, size);
+        north.scale.set(size * 2, WALL_HEIGHT, WALL_THICKNESS);
+        south.scale.copy(north.scale);
+        east.position.set(size, centreY, 0);
+        west.position.set(-size, centreY, 0);
+        east.scale.set(WALL_THICKNESS, WALL_HEIGHT, size * 2);
+        west.scale.copy(east.scale);
+    }
+}
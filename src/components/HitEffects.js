@@ -0,0 +1,131 @@
+/*
+HitEffects.js
+The HitEffects class owns the 3D side of shooting feedback: particle bursts at the point where a ray
+hit a target, the muzzle flash at the end of the gun, and the gun's recoil kick. Every object is
+created once up front and reused round-robin, so rapid fire never allocates new meshes, materials or
+buffers. The 2D feedback (hit marker, floating score text) lives in the UIManager.
+
+Purpose
+Its purpose is to make hits readable and shooting feel punchy without touching game rules; the game
+clock drives update(), so effects freeze with the game when it is paused.
+*/
+import * as THREE from 'three';
+
+const BURST_POOL_SIZE = 16;
+const PARTICLES_PER_BURST = 24;
+const BURST_LIFETIME = 0.6; // seconds
+const BURST_SPEED = 8; // world units per second
+const GRAVITY = 12;
+
+const MUZZLE_FLASH_TIME = 0.05;
+const MUZZLE_OFFSET = new THREE.Vector3(0, 0.05, -0.6); // from the gun's rest position towards the barrel end
+const RECOIL_RECOVERY = 6; // recoil units recovered per second
+const RECOIL_DISTANCE = 0.12; // how far the gun slides back at full recoil
+
+export class HitEffects {
+    constructor(scene, camera) {
+        this.bursts = [];
+        this.nextBurst = 0;
+
+        for (let i = 0; i < BURST_POOL_SIZE; i++) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(PARTICLES_PER_BURST * 3), 3));
+            const material = new THREE.PointsMaterial({ size: 0.25, transparent: true, depthWrite: false });
+            const points = new THREE.Points(geometry, material);
+            points.visible = false;
+            points.frustumCulled = false; // positions change every step; skip bounding sphere updates
+            scene.add(points);
+
+            this.bursts.push({ points, velocities: new Float32Array(PARTICLES_PER_BURST * 3), life: 0 });
+        }
+
+        // Muzzle flash: a short-lived light plus a bright blob at the barrel
+        this.muzzleLight = new THREE.PointLight(0xffaa33, 0, 6);
+        this.muzzleFlash = new THREE.Mesh(
+            new THREE.SphereGeometry(0.08, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xffcc66 })
+        );
+        this.muzzleFlash.visible = false;
+        camera.add(this.muzzleLight);
+        camera.add(this.muzzleFlash);
+        this.flashTimer = 0;
+
+        this.gun = null;
+        this.gunRestPosition = new THREE.Vector3();
+        this.recoil = 0;
+    }
+
+    // Called once the gun model (or its fallback) is attached to the camera
+    setGun(gun) {
+        this.gun = gun;
+        this.gunRestPosition.copy(gun.position);
+        this.muzzleLight.position.copy(gun.position).add(MUZZLE_OFFSET);
+        this.muzzleFlash.position.copy(this.muzzleLight.position);
+    }
+
+    // Spray particles from a world-space hit point in the target's colour
+    burst(point, color) {
+        const burst = this.bursts[this.nextBurst];
+        this.nextBurst = (this.nextBurst + 1) % BURST_POOL_SIZE;
+
+        const positions = burst.points.geometry.attributes.position.array;
+        for (let i = 0; i < PARTICLES_PER_BURST; i++) {
+            positions[i * 3] = point.x;
+            positions[i * 3 + 1] = point.y;
+            positions[i * 3 + 2] = point.z;
+
+            // Random direction on a sphere, random speed
+            const theta = Math.random() * Math.PI * 2;
+            const z = Math.random() * 2 - 1;
+            const r = Math.sqrt(1 - z * z);
+            const speed = BURST_SPEED * (0.3 + Math.random() * 0.7);
+            burst.velocities[i * 3] = r * Math.cos(theta) * speed;
+            burst.velocities[i * 3 + 1] = r * Math.sin(theta) * speed;
+            burst.velocities[i * 3 + 2] = z * speed;
+        }
+        burst.points.geometry.attributes.position.needsUpdate = true;
+        burst.points.material.color.set(color);
+        burst.points.material.opacity = 1;
+        burst.points.visible = true;
+        burst.life = BURST_LIFETIME;
+    }
+
+    // Muzzle flash and recoil for one shot; kick is 0..1 of full recoil
+    fire(kick) {
+        this.flashTimer = MUZZLE_FLASH_TIME;
+        this.recoil = Math.min(1, this.recoil + kick);
+    }
+
+    update(delta) {
+        this.bursts.forEach(burst => {
+            if (burst.life <= 0) return;
+
+            burst.life -= delta;
+            if (burst.life <= 0) {
+                burst.points.visible = false;
+                return;
+            }
+
+            const positions = burst.points.geometry.attributes.position.array;
+            for (let i = 0; i < PARTICLES_PER_BURST; i++) {
+                burst.velocities[i * 3 + 1] -= GRAVITY * delta;
+                positions[i * 3] += burst.velocities[i * 3] * delta;
+                positions[i * 3 + 1] += burst.velocities[i * 3 + 1] * delta;
+                positions[i * 3 + 2] += burst.velocities[i * 3 + 2] * delta;
+            }
+            burst.points.geometry.attributes.position.needsUpdate = true;
+            burst.points.material.opacity = burst.life / BURST_LIFETIME;
+        });
+
+        this.flashTimer = Math.max(0, this.flashTimer - delta);
+        this.muzzleFlash.visible = this.flashTimer > 0;
+        this.muzzleLight.intensity = this.flashTimer > 0 ? 3 : 0;
+
+        this.recoil = Math.max(0, this.recoil - RECOIL_RECOVERY * delta);
+        if (this.gun) {
+            this.gun.position.copy(this.gunRestPosition);
+            this.gun.position.z += this.recoil * RECOIL_DISTANCE;
+            this.gun.position.y += this.recoil * RECOIL_DISTANCE * 0.25;
+        }
+    }
+}
@@ -0,0 +1,77 @@
+/*
+PlayerController.js
+The PlayerController class moves the player around in levels that enable movement: the movement
+actions (WASD or the left stick by default) walk relative to where the camera looks, sprint and
+jump do what they say, gravity pulls the player back onto the floor and the arena walls keep them
+inside. It reads the InputManager, so movement follows the player's bindings. The camera is the player; its
+position is what targets steer towards and what collisionDistance is measured against, so moving
+out of a target's way dodges it. Looking around stays with PointerLockControls.
+
+Purpose
+Its purpose is to keep player movement in one place, advanced by the fixed-step game clock so it
+pauses with the game and moves at the same speed at any frame rate.
+*/
+
+export const EYE_HEIGHT = 1.6; // the camera sits this far above the floor when standing
+const WALL_MARGIN = 0.5; // how close the camera may get to an arena wall
+
+export class PlayerController {
+    constructor(controls, input) {
+        this.controls = controls;
+        this.input = input;
+        this.camera = controls.camera;
+        this.settings = null; // the level's movement settings; null = movement off
+        this.verticalVelocity = 0;
+    }
+
+    get enabled() {
+        return this.settings !== null;
+    }
+
+    get onGround() {
+        return this.camera.position.y <= 0;
+    }
+
+    // Called at the start of every round with the level's movement settings (or null)
+    configure(settings) {
+        this.settings = settings;
+        this.reset();
+    }
+
+    // Back to the centre of the arena, standing still
+    reset() {
+        this.camera.position.set(0, 0, 0);
+        this.verticalVelocity = 0;
+    }
+
+    // Advance by one clock step
+    update(delta) {
+        if (!this.enabled) return;
+
+        const settings = this.settings;
+        // At most length 1, so diagonal movement is no faster than straight movement
+        const move = this.input.moveVector;
+        if (move.x !== 0 || move.y !== 0) {
+            const sprint = this.input.isDown('sprint') ? settings.sprintMultiplier : 1;
+            const step = settings.walkSpeed * sprint * delta;
+            this.controls.moveForward(move.y * step);
+            this.controls.moveRight(move.x * step);
+        }
+
+        if (this.input.isDown('jump') && this.onGround && settings.jumpSpeed > 0) {
+            this.verticalVelocity = settings.jumpSpeed;
+        }
+
+        const position = this.camera.position;
+        this.verticalVelocity -= settings.gravity * delta;
+        position.y += this.verticalVelocity * delta;
+        if (position.y <= 0) {
+            position.y = 0;
+            this.verticalVelocity = 0;
+        }
+
+        const limit = settings.arenaSize - WALL_MARGIN;
+        position.x = Math.max(-limit, Math.min(limit, position.x));
+        position.z = Math.max(-limit, Math.min(limit, position.z));
+    }
+}
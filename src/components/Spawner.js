@@ -0,0 +1,151 @@
+/*
+Spawner.js
+The Spawner class decides where a target (re)appears. A level picks one of the spawn patterns below
+with spawnPattern and tunes it with its "spawn" settings; the Spawner then applies the spawn-safety
+rules on top: a new target keeps minSeparation away from every other live target and
+minCameraDistance away from the player, and a respawning one from the place it just left. Candidates that break a rule are retried a few times and,
+if the arena is simply too crowded, the roomiest candidate wins. Positions are relative to the
+player, so ring and 360° random spawns surround them wherever they stand.
+
+Purpose
+Its purpose is to keep spawn placement in one data-driven place, so adding a pattern means adding an
+entry to SPAWN_PATTERNS, and no target ever pops up inside another one or in the player's face.
+*/
+import * as THREE from 'three';
+
+const MAX_ATTEMPTS = 12;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Spawn settings a level without a "spawn" object gets (see SPAWN_SCHEMA in schema.js)
+export const DEFAULT_SPAWN = {
+    minSeparation: 2,
+    minCameraDistance: 8,
+    arc: null,
+    distance: null,
+    columns: 5,
+    rows: 3,
+    spacing: 3,
+    lanes: 5
+};
+
+// Far edge of the spawn area; ring and grid spawn this far away unless spawn.distance says otherwise
+function farDistance(range, spawn) {
+    return spawn.distance ?? range.z + 5;
+}
+
+// Each pattern writes a position (relative to the player) into out. slot is { index, total } for
+// targets spawned as a group. Patterns with a fixed number of cells always get a random cell.
+// random is the Spawner's generator; patterns never call Math.random so seeded rounds replay exactly.
+export const SPAWN_PATTERNS = {
+    // Anywhere in the box in front of the player, or anywhere within spawn.arc degrees around them
+    random: {
+        place(range, spawn, slot, out, random) {
+            const y = random() * range.y + 1;
+            if (spawn.arc === null) {
+                return out.set((random() - 0.5) * range.x * 2, y, -random() * range.z - 5);
+            }
+            const angle = (random() - 0.5) * spawn.arc * DEG_TO_RAD;
+            const distance = 5 + random() * range.z;
+            return out.set(Math.sin(angle) * distance, y, -Math.cos(angle) * distance);
+        }
+    },
+    // Evenly spaced across the width at the far end of the spawn area
+    line: {
+        place(range, spawn, { index, total }, out) {
+            const t = total > 1 ? index / (total - 1) : 0.5;
+            return out.set((t - 0.5) * range.x * 2, range.y / 2 + 1, -range.z - 5);
+        }
+    },
+    // Same distance from the player, fanned out 60° in front of them
+    arc: {
+        place(range, spawn, { index, total }, out) {
+            const t = total > 1 ? index / (total - 1) : 0.5;
+            const angle = (t - 0.5) * Math.PI / 3;
+            const radius = range.z + 5;
+            return out.set(Math.sin(angle) * radius, range.y / 2 + 1, -Math.cos(angle) * radius);
+        }
+    },
+    // Evenly around the player over spawn.arc degrees (a full circle by default), including behind them
+    ring: {
+        place(range, spawn, { index, total }, out) {
+            const arc = (spawn.arc ?? 360) * DEG_TO_RAD;
+            const t = arc >= Math.PI * 2
+                ? index / total
+                : (total > 1 ? index / (total - 1) - 0.5 : 0);
+            const angle = t * arc;
+            const radius = farDistance(range, spawn);
+            return out.set(Math.sin(angle) * radius, range.y / 2 + 1, -Math.cos(angle) * radius);
+        }
+    },
+    // A wall of columns x rows cells facing the player, gridshot style
+    grid: {
+        cells: spawn => spawn.columns * spawn.rows,
+        place(range, spawn, { index }, out) {
+            const column = index % spawn.columns;
+            const row = Math.floor(index / spawn.columns) % spawn.rows;
+            return out.set(
+                (column - (spawn.columns - 1) / 2) * spawn.spacing,
+                range.y / 2 + 1 + (row - (spawn.rows - 1) / 2) * spawn.spacing,
+                -farDistance(range, spawn)
+            );
+        }
+    },
+    // Somewhere along the far half of one of spawn.lanes lanes spread across the spawn area
+    lanes: {
+        cells: spawn => spawn.lanes,
+        place(range, spawn, { index }, out, random) {
+            const t = spawn.lanes > 1 ? (index % spawn.lanes) / (spawn.lanes - 1) : 0.5;
+            return out.set((t - 0.5) * range.x * 2, range.y / 2 + 1, -range.z * (0.5 + random() / 2) - 5);
+        }
+    }
+};
+
+export class Spawner {
+    // getTargets returns the targets currently in play; cameraPosition is read on every spawn.
+    // random returns numbers in [0, 1), e.g. a seeded Random's next.
+    constructor(cameraPosition, getTargets, random = Math.random) {
+        this.cameraPosition = cameraPosition;
+        this.getTargets = getTargets;
+        this.random = random;
+        this.onSpawn = null; // (target, levelConfig), called once a target has fully (re)spawned
+        this.candidate = new THREE.Vector3();
+        this.best = new THREE.Vector3();
+    }
+
+    // Move target to a spawn point of levelConfig's pattern. Without a slot (e.g. respawning after a
+    // hit) the target takes a random place in the pattern, away from where it was.
+    place(target, levelConfig, slot) {
+        const pattern = SPAWN_PATTERNS[levelConfig.spawnPattern] || SPAWN_PATTERNS.random;
+        const spawn = levelConfig.spawn || DEFAULT_SPAWN;
+        const total = pattern.cells ? pattern.cells(spawn) : levelConfig.targetCount;
+
+        let bestClearance = -Infinity;
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const place = attempt === 0 && slot && !pattern.cells
+                ? slot
+                : { index: Math.floor(this.random() * total), total };
+            pattern.place(levelConfig.spawnRange, spawn, place, this.candidate, this.random);
+            this.candidate.x += this.cameraPosition.x;
+            this.candidate.z += this.cameraPosition.z;
+
+            const clearance = this.clearance(this.candidate, target, spawn, !slot);
+            if (clearance > bestClearance) {
+                bestClearance = clearance;
+                this.best.copy(this.candidate);
+            }
+            if (clearance >= 0) break;
+        }
+        target.position.copy(this.best);
+    }
+
+    // How far the point is from breaking a spawn-safety rule; negative means a rule is broken.
+    // With avoidSelf, self's current (old) position counts as taken too.
+    clearance(point, self, spawn, avoidSelf = false) {
+        let clearance = point.distanceTo(this.cameraPosition) - spawn.minCameraDistance;
+        for (const other of this.getTargets()) {
+            if ((other === self && !avoidSelf) || other.destroyed) continue;
+            clearance = Math.min(clearance, point.distanceTo(other.position) - spawn.minSeparation);
+        }
+        return clearance;
+    }
+}
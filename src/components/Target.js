@@ -1,79 +1,136 @@
 /*
 Summary
 
-The Target class creates 3D target objects in the scene using Three.js, positions them randomly within a 
-specified spawn range, moves them toward the player, applies rotation for visual effect, respawns them if 
-they get too close or behind the player, and checks for collisions with the player.
+The Target class holds the state of one target: where it is, how it is turned, its size and colour, and 
+its hit points. It asks the Spawner for a spawn point, moves toward the player, applies rotation for 
+visual effect, respawns if it gets too close to the player, and checks for collisions with the player. 
+It owns no Three.js mesh: the TargetRenderer draws every target of a type through one InstancedMesh, 
+and the TargetPool hands out and takes back Target objects between rounds.
 
 Purpose
 Its purpose is to represent and manage the behavior of each target in the shooting game, including spawning, 
 movement, visual effects, and collision detection, allowing the game loop to interact with targets consistently 
-based on the current difficulty level.
+based on the current difficulty level. Movement is scaled by the fixed-step delta handed out by the GameClock, 
+so targetSpeed is expressed in world units per second. What a target looks like, how it moves and what it is 
+worth comes from its entry in targetTypes.js.
 */
 import * as THREE from 'three';
+import { TARGET_TYPES } from './targetTypes.js';
+
+const ROTATION_SPEED = 0.6; // radians per second, purely cosmetic
+
+const HIT_FLASH_COLOR = 0xffffff;
+const HIT_FLASH_TIME = 0.2; // seconds of game time
+
+// Reused by every target's update so hundreds of targets don't allocate each step
+const toPlayer = new THREE.Vector3();
 
 export class Target {
-    constructor(scene, levelConfig) {
+    constructor() {
+        this.position = new THREE.Vector3();
+        this.rotation = new THREE.Euler();
+        this.color = new THREE.Color();
+        this.size = 1;
+    }
+
+    // (Re)initialise a pooled target for a level; called by TargetPool.acquire.
+    // random is the round's generator, used for every roll the target makes.
+    init(levelConfig, slot, typeName, spawner, random) {
         this.levelConfig = levelConfig;
-        
-        const geometry = new THREE.BoxGeometry(
-            levelConfig.targetSize, 
-            levelConfig.targetSize, 
-            levelConfig.targetSize
-        );
-        
-        const material = new THREE.MeshStandardMaterial({ 
-            color: levelConfig.color 
-        });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.respawn(levelConfig);
-        scene.add(this.mesh);
+        this.spawner = spawner;
+        this.random = random;
+        this.typeName = typeName;
+        this.type = TARGET_TYPES[typeName];
+        this.baseColor = this.type.color ?? levelConfig.color;
+        this.size = levelConfig.targetSize * this.type.sizeScale;
+        this.rotation.set(0, 0, 0);
+        this.destroyed = false;
+        this.respawn(levelConfig, slot);
+        return this;
     }
 
-    respawn(levelConfig) {
-        const range = levelConfig.spawnRange;
-        this.mesh.position.set(
-            (Math.random() - 0.5) * range.x * 2,
-            Math.random() * range.y + 1,
-            -Math.random() * range.z - 5
-        );
-        
-        this.speed = levelConfig.targetSpeed;
+    // Without a slot (e.g. respawning after a hit) the target takes a random place in the pattern
+    respawn(levelConfig, slot) {
+        this.spawner.place(this, levelConfig, slot);
+
+        this.setBaseSpeed(levelConfig.targetSpeed);
+        this.hitPoints = this.type.hitPoints;
+        this.age = 0;
+        this.phase = this.random() * Math.PI * 2;
+        this.strafeDirection = this.random() < 0.5 ? -1 : 1;
+        this.strafeTimer = 0;
+        this.swayOffset = 0; // sideways distance a swaying target has moved from its spawn point
+        this.flashTimer = 0;
+        this.color.set(this.baseColor);
+        if (this.spawner.onSpawn) this.spawner.onSpawn(this, levelConfig);
     }
 
-    update(cameraPosition, levelConfig) {
-        // Move toward camera
-        const direction = new THREE.Vector3();
-        direction.subVectors(cameraPosition, this.mesh.position).normalize();
-        this.mesh.position.add(direction.multiplyScalar(this.speed));
+    // Level (or wave) speed; the target type scales it
+    setBaseSpeed(speed) {
+        this.speed = speed * this.type.speedScale;
+    }
+
+    // Health the player loses when this target reaches them
+    contactDamage(levelConfig) {
+        return levelConfig.contactDamage * this.type.damage;
+    }
+
+    // One fixed step of movement; returns true if the target ran out of lifetime and moved elsewhere
+    update(cameraPosition, levelConfig, delta) {
+        this.age += delta;
+
+        // Move the way this target type moves, relative to the direction of the camera
+        toPlayer.subVectors(cameraPosition, this.position).normalize();
+        this.type.move(this, toPlayer, delta);
 
         // Rotate for visual effect
-        this.mesh.rotation.x += 0.01;
-        this.mesh.rotation.y += 0.01;
+        this.rotation.x += ROTATION_SPEED * delta;
+        this.rotation.y += ROTATION_SPEED * delta;
 
-        // Respawn if too close to camera or behind camera
-        const distance = this.mesh.position.distanceTo(cameraPosition);
-        if (distance < 1.0 || this.mesh.position.z > 0) {
+        // Respawn if too close to camera or past its lifetime (targets may come from any side, even behind).
+        // A level's targetLifetime (milliseconds, the reflex mode's) overrides the type's own.
+        const distance = this.position.distanceTo(cameraPosition);
+        const lifetime = levelConfig.targetLifetime ? levelConfig.targetLifetime / 1000 : this.type.lifetime;
+        const expired = lifetime !== null && this.age > lifetime;
+        if (distance < 1.0 || expired) {
             this.respawn(levelConfig);
         }
+        return expired;
     }
 
-   checkCollision(cameraPosition) {
-    const threshold = this.levelConfig.collisionDistance;
-    const distance = this.mesh.position.distanceTo(cameraPosition);
-    
-    // More detailed debugging
-    if (distance < 10) { // Check from further away
-        console.log('🚨 COLLISION CHECK:',
-            'Distance:', distance.toFixed(2),
-            'Threshold:', threshold,
-            'Collision?', distance < threshold,
-            'Position:', this.mesh.position.x.toFixed(2), this.mesh.position.y.toFixed(2), this.mesh.position.z.toFixed(2),
-            'Camera:', cameraPosition.z.toFixed(2)
-        );
+    // Register a hit. Returns how many points it scored (0 while armour holds) and whether it was destroyed.
+    hit() {
+        this.hitPoints--;
+        const destroyed = this.hitPoints <= 0;
+        return { destroyed, points: destroyed ? this.type.points : 0 };
+    }
+
+    // Turn white for a moment; the flash runs on game time so it pauses with the game
+    flash() {
+        this.color.set(HIT_FLASH_COLOR);
+        this.flashTimer = HIT_FLASH_TIME;
+    }
+
+    // Advance the hit flash; returns true on the step the flash ends (colour is restored by then)
+    updateFlash(delta) {
+        if (this.flashTimer <= 0) return false;
+
+        this.flashTimer -= delta;
+        if (this.flashTimer > 0) return false;
+
+        this.flashTimer = 0;
+        this.resetColor();
+        return true;
+    }
+
+    resetColor() {
+        this.color.set(this.baseColor);
+    }
+
+    checkCollision(cameraPosition) {
+        // Decoys, bonus and flick targets fly past or sit still; only types that deal damage collide
+        if (this.type.damage === 0) return false;
+
+        return this.position.distanceTo(cameraPosition) < this.levelConfig.collisionDistance;
     }
-    
-    return distance < threshold;
 }
-}
\ No newline at end of file
@@ -0,0 +1,28 @@
+/*
+TargetPool.js
+The TargetPool class hands out Target objects and takes them back. A released target waits in the
+pool until the next round or wave asks for one, and is re-initialised for its new level and type.
+
+Purpose
+Its purpose is to let rounds restart and waves spawn without allocating new targets each time;
+together with the TargetRenderer nothing target-related is created after the first round.
+*/
+import { Target } from './Target.js';
+
+export class TargetPool {
+    // spawner places every target this pool hands out; random is passed on to each of them
+    constructor(spawner, random = Math.random) {
+        this.spawner = spawner;
+        this.random = random;
+        this.free = [];
+    }
+
+    acquire(levelConfig, slot, typeName) {
+        const target = this.free.pop() || new Target();
+        return target.init(levelConfig, slot, typeName, this.spawner, this.random);
+    }
+
+    release(target) {
+        this.free.push(target);
+    }
+}
@@ -0,0 +1,124 @@
+/*
+TargetRenderer.js
+The TargetRenderer class draws every target in the game. Each target type gets one InstancedMesh,
+with one shared unit-size geometry and material, created once when the game starts and kept in the
+scene for good. sync() copies every target's position, rotation, size and colour into the instance
+buffers, and raycast() maps an intersected instance back to the Target it belongs to. Target types
+registered by plugins get their mesh from addType().
+
+Purpose
+Its purpose is to keep the number of draw calls and GPU resources independent of the target count:
+hundreds of targets cost one draw call per type, and restarting a round only changes instance counts,
+so nothing is created or left behind.
+*/
+import * as THREE from 'three';
+import { TARGET_TYPES } from './targetTypes.js';
+
+// Most targets one type can show at once; matches the level schema's targetCount limit
+const MAX_INSTANCES = 500;
+
+// Unit-size geometry for each shape; each instance is scaled to its target's size
+const GEOMETRY_FACTORIES = {
+    box: () => new THREE.BoxGeometry(1, 1, 1),
+    sphere: () => new THREE.SphereGeometry(0.5, 16, 12),
+    tetrahedron: () => new THREE.TetrahedronGeometry(0.6),
+    octahedron: () => new THREE.OctahedronGeometry(0.6),
+    dodecahedron: () => new THREE.DodecahedronGeometry(0.6)
+};
+
+export const TARGET_SHAPES = Object.keys(GEOMETRY_FACTORIES);
+
+// Scratch objects for composing instance matrices
+const matrix = new THREE.Matrix4();
+const quaternion = new THREE.Quaternion();
+const scale = new THREE.Vector3();
+
+export class TargetRenderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.batches = {}; // type name -> { mesh, targets: instance id -> Target }
+        this.meshes = [];
+        this.intersects = [];
+
+        Object.entries(TARGET_TYPES).forEach(([name, type]) => this.addType(name, type));
+    }
+
+    // One InstancedMesh for a target type
+    addType(name, type) {
+        if (!GEOMETRY_FACTORIES[type.shape]) {
+            throw new Error(`Target type "${name}" has unknown shape "${type.shape}" (expected one of ${TARGET_SHAPES.join(', ')})`);
+        }
+
+        const geometry = GEOMETRY_FACTORIES[type.shape]();
+        // White base colour: the per-instance colour is multiplied with it
+        const material = new THREE.MeshStandardMaterial({ metalness: type.metalness ?? 0 });
+
+        const mesh = new THREE.InstancedMesh(geometry, material, MAX_INSTANCES);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        // Create the colour buffer up front so the shader is compiled with instance colours
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(MAX_INSTANCES * 3), 3);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        // Instances move every step; a bounding sphere for culling would be stale by the next frame
+        mesh.frustumCulled = false;
+        mesh.name = `targets-${name}`;
+        mesh.userData.typeName = name;
+
+        this.scene.add(mesh);
+        this.batches[name] = { mesh, targets: [] };
+        this.meshes.push(mesh);
+    }
+
+    // Write every target into its type's instance buffers; call before rendering or raycasting
+    sync(targets) {
+        Object.values(this.batches).forEach(batch => {
+            batch.targets.length = 0;
+        });
+
+        for (const target of targets) {
+            const batch = this.batches[target.typeName];
+            const index = batch.targets.length;
+            if (index >= MAX_INSTANCES) continue;
+
+            quaternion.setFromEuler(target.rotation);
+            scale.setScalar(target.size);
+            matrix.compose(target.position, quaternion, scale);
+            batch.mesh.setMatrixAt(index, matrix);
+            batch.mesh.setColorAt(index, target.color);
+            batch.targets.push(target);
+        }
+
+        Object.values(this.batches).forEach(({ mesh, targets: instances }) => {
+            mesh.count = instances.length;
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+            mesh.boundingSphere = null; // recomputed on the next raycast
+        });
+    }
+
+    // Closest target along the ray that passes filter(target), as { target, point }, or null
+    raycast(raycaster, filter = () => true) {
+        this.intersects.length = 0;
+        raycaster.intersectObjects(this.meshes, false, this.intersects);
+
+        for (const intersect of this.intersects) {
+            const batch = this.batches[intersect.object.userData.typeName];
+            const target = batch.targets[intersect.instanceId];
+            if (target && filter(target)) {
+                return { target, point: intersect.point };
+            }
+        }
+        return null;
+    }
+
+    dispose() {
+        this.meshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+            mesh.dispose();
+        });
+        this.meshes = [];
+        this.batches = {};
+    }
+}
@@ -0,0 +1,101 @@
+/*
+Weapon.js
+The Weapon class tracks the state of one gun from weapons.js: rounds left in the magazine, the
+cooldown between shots, reloading, and recoil bloom. Its timers only advance through update(), which
+the game clock calls each fixed step, so reloads and fire rate pause with the game. fire() returns
+the spread offset of every pellet; main.js turns those into rays from the camera.
+
+Purpose
+Its purpose is to give every gun the same rules (fire rate, magazine, manual and automatic reload,
+spread and recoil) so the shooting code only asks "did it fire, and where did the pellets go".
+*/
+
+const SWITCH_TIME = 0.3; // seconds before a gun can fire after switching to it
+
+export class Weapon {
+    // random rolls the pellet spread; pass a seeded generator to make shots reproducible
+    constructor(preset, random = Math.random) {
+        this.preset = preset;
+        this.random = random;
+        this.id = preset.id;
+        this.name = preset.name;
+        this.automatic = preset.automatic;
+        this.reset();
+    }
+
+    reset() {
+        this.ammo = this.preset.magazineSize;
+        this.cooldown = 0;
+        this.reloadTimer = 0;
+        this.bloom = 0;
+    }
+
+    get isReloading() {
+        return this.reloadTimer > 0;
+    }
+
+    get magazineSize() {
+        return this.preset.magazineSize;
+    }
+
+    canFire() {
+        return !this.isReloading && this.cooldown <= 0 && this.ammo > 0;
+    }
+
+    // Fire one shot. Returns a list of { x, y } pellet offsets (tangent of the angle from the crosshair),
+    // or null if the gun can't fire right now. Emptying the magazine starts a reload automatically.
+    fire() {
+        if (!this.canFire()) {
+            if (this.ammo === 0) this.reload();
+            return null;
+        }
+
+        this.ammo--;
+        this.cooldown = 1 / this.preset.fireRate;
+
+        const spread = this.preset.spread + this.bloom;
+        this.bloom = Math.min(this.preset.maxBloom, this.bloom + this.preset.recoil);
+
+        const pellets = [];
+        for (let i = 0; i < this.preset.pellets; i++) {
+            // Uniform over a disc so pellets don't bunch in the middle
+            const angle = this.random() * Math.PI * 2;
+            const radius = Math.sqrt(this.random()) * Math.tan(spread);
+            pellets.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+        }
+
+        if (this.ammo === 0) this.reload();
+        return pellets;
+    }
+
+    // Returns true if a reload was started
+    reload() {
+        if (this.isReloading || this.ammo === this.preset.magazineSize) return false;
+
+        this.reloadTimer = this.preset.reloadTime;
+        return true;
+    }
+
+    // Called when the player switches to this gun; an interrupted reload has to start over
+    equip() {
+        this.reloadTimer = 0;
+        this.cooldown = Math.max(this.cooldown, SWITCH_TIME);
+        if (this.ammo === 0) this.reload();
+    }
+
+    // Advance timers by one clock step. Returns true when a reload finished during this step.
+    update(delta) {
+        this.cooldown = Math.max(0, this.cooldown - delta);
+        this.bloom = Math.max(0, this.bloom - this.preset.recoilRecovery * delta);
+
+        if (this.isReloading) {
+            this.reloadTimer -= delta;
+            if (this.reloadTimer <= 0) {
+                this.reloadTimer = 0;
+                this.ammo = this.preset.magazineSize;
+                return true;
+            }
+        }
+        return false;
+    }
+}
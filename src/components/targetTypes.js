@@ -0,0 +1,161 @@
+/*
+targetTypes.js
+Defines every kind of target the game can spawn: its shape, size and speed relative to the level,
+colour (and optional metalness), how many hits it takes, how many points it is worth, how much
+touching it hurts (a multiplier of the level's contactDamage, 0 = harmless), and the movement
+function the Target class calls each fixed step. A level (or wave) declares which types it spawns
+with a targetMix of relative weights, e.g. { "basic": 3, "decoy": 1 }. Plugins add their own types
+with registerTargetType(), which fills in the defaults of DEFAULT_TARGET_TYPE.
+
+Purpose
+Its purpose is to keep target behaviour data-driven: adding a new target type means adding an entry
+here, with no changes to the game loop. The file has no Three.js imports so the level schema can use
+the type names without pulling in the renderer.
+*/
+
+const STRAFE_SWITCH_TIME = 1.2; // seconds between strafe direction changes (on average)
+const ZIGZAG_FREQUENCY = 3; // radians per second of the sine wave
+const ZIGZAG_AMPLITUDE = 3; // world units either side of the straight path
+
+// Horizontal unit vector perpendicular to the direction towards the player (one shared scratch vector)
+let side = null;
+function sideways(toPlayer) {
+    if (!side) side = toPlayer.clone();
+    return side.set(-toPlayer.z, 0, toPlayer.x).normalize();
+}
+
+// Straight at the player
+function approach(target, toPlayer, delta) {
+    target.position.addScaledVector(toPlayer, target.speed * delta);
+}
+
+// Drifts in slowly while strafing left and right, switching direction at random intervals
+function strafe(target, toPlayer, delta) {
+    target.strafeTimer -= delta;
+    if (target.strafeTimer <= 0) {
+        target.strafeDirection *= -1;
+        target.strafeTimer = STRAFE_SWITCH_TIME * (0.5 + target.random());
+    }
+    target.position.addScaledVector(toPlayer, target.speed * 0.4 * delta);
+    target.position.addScaledVector(sideways(toPlayer), target.strafeDirection * target.speed * delta);
+}
+
+// Approaches on a sinusoidal path
+function zigzag(target, toPlayer, delta) {
+    const lateralSpeed = ZIGZAG_AMPLITUDE * ZIGZAG_FREQUENCY * Math.cos(target.age * ZIGZAG_FREQUENCY + target.phase);
+    target.position.addScaledVector(toPlayer, target.speed * delta);
+    target.position.addScaledVector(sideways(toPlayer), lateralSpeed * delta);
+}
+
+// Strafes left and right at a steady distance, switching direction at random intervals and before it
+// strays more than the level's spawnRange.x from where it spawned
+function sway(target, toPlayer, delta) {
+    target.strafeTimer -= delta;
+    if (Math.abs(target.swayOffset) > target.levelConfig.spawnRange.x) {
+        target.strafeDirection = -Math.sign(target.swayOffset); // head back
+    } else if (target.strafeTimer <= 0) {
+        target.strafeDirection *= -1;
+        target.strafeTimer = STRAFE_SWITCH_TIME * (0.5 + target.random());
+    }
+    const step = target.strafeDirection * target.speed * delta;
+    target.swayOffset += step;
+    target.position.addScaledVector(sideways(toPlayer), step);
+}
+
+// Stays where it spawned until its lifetime runs out
+function stationary() {}
+
+export const TARGET_TYPES = {
+    basic: {
+        shape: 'box', sizeScale: 1, speedScale: 1, color: null,
+        hitPoints: 1, points: 1, damage: 1, mustClear: true, lifetime: null,
+        move: approach
+    },
+    strafer: {
+        shape: 'box', sizeScale: 0.9, speedScale: 1, color: 0x00bcd4,
+        hitPoints: 1, points: 2, damage: 0.75, mustClear: true, lifetime: null,
+        move: strafe
+    },
+    zigzag: {
+        shape: 'tetrahedron', sizeScale: 1, speedScale: 1, color: 0x9c27b0,
+        hitPoints: 1, points: 2, damage: 0.75, mustClear: true, lifetime: null,
+        move: zigzag
+    },
+    flick: {
+        shape: 'sphere', sizeScale: 0.7, speedScale: 0, color: 0xffeb3b,
+        hitPoints: 1, points: 2, damage: 0, mustClear: true, lifetime: 2.5,
+        move: stationary
+    },
+    armored: {
+        shape: 'dodecahedron', sizeScale: 1.2, speedScale: 0.6, color: 0x607d8b, metalness: 0.8,
+        hitPoints: 3, points: 4, damage: 1.5, mustClear: true, lifetime: null,
+        move: approach
+    },
+    bonus: {
+        shape: 'octahedron', sizeScale: 0.45, speedScale: 1.4, color: 0xffd700,
+        hitPoints: 1, points: 5, damage: 0, mustClear: false, lifetime: null,
+        move: zigzag
+    },
+    decoy: {
+        shape: 'sphere', sizeScale: 1, speedScale: 0.7, color: 0x2196f3,
+        hitPoints: 1, points: -3, damage: 0, mustClear: false, lifetime: null,
+        move: approach
+    },
+    // Scenario modes (see src/core/modes.js): a still target for gridshot, flick and reflex, and the
+    // tracking target
+    still: {
+        shape: 'sphere', sizeScale: 1, speedScale: 0, color: null,
+        hitPoints: 1, points: 1, damage: 0, mustClear: true, lifetime: null,
+        move: stationary
+    },
+    tracker: {
+        shape: 'sphere', sizeScale: 1, speedScale: 1, color: null,
+        hitPoints: 1, points: 0, damage: 0, mustClear: false, lifetime: null,
+        move: sway
+    }
+};
+
+export const TARGET_TYPE_NAMES = Object.keys(TARGET_TYPES);
+
+// Movement functions by name, so a registered type can say move: 'zigzag'
+export const MOVEMENTS = { approach, strafe, zigzag, sway, stationary };
+
+// What a registered type gets for every field it leaves out
+export const DEFAULT_TARGET_TYPE = {
+    shape: 'box', sizeScale: 1, speedScale: 1, color: null,
+    hitPoints: 1, points: 1, damage: 1, mustClear: true, lifetime: null,
+    move: 'approach'
+};
+
+// Add a target type (see the plugin API); levels can use it in their targetMix from then on
+export function registerTargetType(name, definition) {
+    if (TARGET_TYPES[name]) {
+        throw new Error(`Target type "${name}" already exists`);
+    }
+
+    const type = { ...DEFAULT_TARGET_TYPE, ...definition };
+    if (typeof type.move === 'string') {
+        if (!MOVEMENTS[type.move]) {
+            throw new Error(`Target type "${name}" has unknown movement "${type.move}" (expected one of ${Object.keys(MOVEMENTS).join(', ')})`);
+        }
+        type.move = MOVEMENTS[type.move];
+    }
+
+    TARGET_TYPES[name] = type;
+    TARGET_TYPE_NAMES.push(name);
+    return type;
+}
+
+// Pick a type name from a { typeName: weight } mix; no mix means every target is basic
+export function pickTargetType(targetMix, random = Math.random) {
+    if (!targetMix) return 'basic';
+
+    const entries = Object.entries(targetMix).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random() * total;
+    for (const [name, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return name;
+    }
+    return entries.length > 0 ? entries[entries.length - 1][0] : 'basic';
+}
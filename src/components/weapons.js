@@ -0,0 +1,61 @@
+/*
+weapons.js
+Preset definitions for every gun the player can switch between with the number keys. Each preset
+sets the magazine size, reload time, fire rate (shots per second), whether holding the trigger keeps
+firing, how many pellets (rays) one shot fires, the base spread and the recoil bloom that builds up
+while firing, how hard the gun model kicks back, plus its shot sound: a recording (asset, a name in
+src/assets/manifest.js) or, for a gun without one, a synthesised shot at fallbackFrequency, which is
+also what plays when the recording fails to load.
+
+Purpose
+Its purpose is to keep weapon tuning as plain data, so the Weapon class stays generic and a new gun
+is one more entry here. Angles are in radians from the centre of the crosshair.
+*/
+
+export const WEAPON_PRESETS = [
+    {
+        id: 'pistol',
+        name: 'Pistol',
+        magazineSize: 12,
+        reloadTime: 1.2, // seconds
+        fireRate: 5, // shots per second
+        automatic: false,
+        pellets: 1,
+        spread: 0.002,
+        recoil: 0.01, // bloom added per shot
+        maxBloom: 0.03,
+        recoilRecovery: 0.1, // bloom removed per second
+        kick: 0.5, // gun recoil animation, 0..1
+        sound: { asset: 'gunshot', playbackRate: 1.0, volume: 0.5, fallbackFrequency: 200 }
+    },
+    {
+        id: 'smg',
+        name: 'SMG',
+        magazineSize: 30,
+        reloadTime: 1.8,
+        fireRate: 12,
+        automatic: true, // hold to fire
+        pellets: 1,
+        spread: 0.01,
+        recoil: 0.006,
+        maxBloom: 0.05,
+        recoilRecovery: 0.15,
+        kick: 0.25, // gun recoil animation, 0..1
+        sound: { asset: null, playbackRate: 1.0, volume: 0.3, fallbackFrequency: 320 }
+    },
+    {
+        id: 'shotgun',
+        name: 'Shotgun',
+        magazineSize: 6,
+        reloadTime: 2.2,
+        fireRate: 1.2,
+        automatic: false,
+        pellets: 8, // one ray per pellet
+        spread: 0.07,
+        recoil: 0.02,
+        maxBloom: 0.04,
+        recoilRecovery: 0.1,
+        kick: 1, // gun recoil animation, 0..1
+        sound: { asset: null, playbackRate: 1.0, volume: 0.7, fallbackFrequency: 110 }
+    }
+];
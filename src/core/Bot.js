@@ -0,0 +1,122 @@
+/*
+Bot.js
+The Bot class plays a GameSimulation round the way a simple human would: it stands where it is,
+picks the closest shootable target (the one about to reach it), waits its reaction time whenever it
+picks a new one, then shoots at it with some aim error at no more than its fire rate. Decoys are
+left alone and an empty magazine is reloaded by the gun itself. In tracking mode it holds the
+trigger instead and re-aims every step. It only uses the simulation's inputs (orientation and
+trigger), so it plays by exactly the rules a player does.
+
+Skill (all optional, see BOT_DEFAULTS):
+- reactionTime: seconds between picking a target and the first shot at it
+- aimError: standard deviation of the aim, in degrees from the target's centre, per shot
+- fireRate: trigger pulls per second (the gun's own fire rate still applies)
+
+Call update(delta) at the start of every simulation step; the simulation's onAim callback is the
+place for it. Pass a seeded random so a bot's round is as reproducible as the simulation's.
+
+Purpose
+Its purpose is to let level configs be tuned from numbers (see scripts/balance.js) instead of by
+playing every change by hand.
+*/
+import * as THREE from 'three';
+import { SimPhases } from './GameSimulation.js';
+
+export const BOT_DEFAULTS = Object.freeze({
+    reactionTime: 0.25,
+    aimError: 1.5,
+    fireRate: 4
+});
+
+const FORWARD = new THREE.Vector3(0, 0, -1);
+const aim = new THREE.Vector3();
+const error = new THREE.Euler(0, 0, 0, 'YXZ');
+const offset = new THREE.Quaternion();
+
+export class Bot {
+    constructor(simulation, skill = {}, random = Math.random) {
+        this.simulation = simulation;
+        this.skill = { ...BOT_DEFAULTS, ...skill };
+        this.random = random;
+        this.reset();
+    }
+
+    reset() {
+        this.target = null;
+        this.targetAge = 0; // the target's age last step; it drops when the target respawns
+        this.reactionLeft = 0;
+        this.cooldown = 0;
+    }
+
+    // A normally distributed number (Box-Muller) with the given standard deviation
+    gaussian(deviation) {
+        const u = 1 - this.random(); // (0, 1], so the log is finite
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random()) * deviation;
+    }
+
+    // The closest target worth shooting, or null
+    pickTarget() {
+        const { targets, position, isHittable } = this.simulation;
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const target of targets) {
+            if (!isHittable(target) || target.type.points < 0) continue;
+
+            const distance = target.position.distanceToSquared(position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = target;
+            }
+        }
+        return nearest;
+    }
+
+    update(delta) {
+        const simulation = this.simulation;
+        if (simulation.phase !== SimPhases.PLAYING) return;
+
+        this.cooldown -= delta;
+        this.reactionLeft -= delta;
+
+        // A new target, or the same one back at a new spawn point, has to be noticed first
+        const target = this.pickTarget();
+        if (target !== this.target || (target && target.age < this.targetAge)) {
+            this.reactionLeft = this.skill.reactionTime;
+        }
+        this.target = target;
+        this.targetAge = target ? target.age : 0;
+
+        if (simulation.mode.tracking) {
+            this.track(target);
+            return;
+        }
+        if (!target || this.reactionLeft > 0 || this.cooldown > 0 || !simulation.weapon.canFire()) return;
+
+        this.aimAt(target);
+        simulation.pullTrigger();
+        simulation.releaseTrigger();
+        this.cooldown = 1 / this.skill.fireRate;
+    }
+
+    // Aim at the target's centre, then miss it by a random angle
+    aimAt(target) {
+        const simulation = this.simulation;
+        aim.subVectors(target.position, simulation.position).normalize();
+        simulation.orientation.setFromUnitVectors(FORWARD, aim);
+        const deviation = THREE.MathUtils.degToRad(this.skill.aimError);
+        offset.setFromEuler(error.set(this.gaussian(deviation), this.gaussian(deviation), 0));
+        simulation.orientation.multiply(offset);
+    }
+
+    // Tracking mode: hold the trigger on the target once it has been noticed
+    track(target) {
+        const simulation = this.simulation;
+        if (!target || this.reactionLeft > 0) {
+            simulation.releaseTrigger();
+            return;
+        }
+
+        this.aimAt(target);
+        if (!simulation.triggerHeld) simulation.pullTrigger();
+    }
+}
@@ -0,0 +1,583 @@
+/*
+GameSimulation.js
+The GameSimulation class is the game's rules without the game's looks: one round of targets moving,
+spawning and colliding with the player, shooting and scoring, the countdown, the match timer, waves
+and the end of the round. It advances only when update() is called with one fixed clock step, and
+it never touches the DOM, a renderer or the real clock, so a whole round runs in Node as fast as the
+CPU allows. The browser game (main.js) is a view over it: it feeds in the player's aim, movement and
+trigger, draws the targets and shows what the callbacks and the EventBus report.
+
+The player is a position and an orientation (in the browser, the camera's own vectors); shots go
+along the orientation's -Z axis. Hit testing defaults to a sphere of the target's size; the browser
+passes in the TargetRenderer's raycast so shots hit the exact shapes that are drawn.
+
+Callbacks (all optional), in the style of the WaveDirector's:
+- onAim(delta) / onMove(delta): set the player's aim at the start of a step / move them mid-step
+- onCountdown(seconds), onPlay(): the whole seconds of the countdown changed / the round began
+- onTimer(timeLeft): the match timer crossed a whole second
+- onAmmo(weapon, weapons): the magazine, reload state or gun changed
+- onComboTimeout(): the combo ran out without a shot
+- onWaveIntermission(waveNumber, totalWaves), onWaveStart(wave): wave mode
+- onScore(score): the score changed outside a shot (tracking mode)
+- onEnd(reason): the round is over ('timeout', 'hit' or 'cleared')
+
+The level's mode (src/core/modes.js) decides how kills and misses score, whether a killed target
+respawns at once, and whether holding the trigger tracks a target instead of firing.
+
+Purpose
+Its purpose is to make the rules testable and reusable (tests, bots, balance reports) and keep one
+copy of them that the renderer, the replays and any headless run all share.
+*/
+import * as THREE from 'three';
+import { Spawner } from '../components/Spawner.js';
+import { TargetPool } from '../components/TargetPool.js';
+import { pickTargetType } from '../components/targetTypes.js';
+import { Weapon } from '../components/Weapon.js';
+import { WEAPON_PRESETS } from '../components/weapons.js';
+import { WaveDirector } from '../systems/WaveDirector.js';
+import { Scoring } from '../systems/Scoring.js';
+import { RoundStats } from '../systems/RoundStats.js';
+import { AimAnalytics } from '../systems/AimAnalytics.js';
+import { Random, randomSeed } from '../systems/Random.js';
+import { GAME_MODES } from './modes.js';
+
+export const COUNTDOWN_TIME = 5; // seconds before play starts
+
+export const SimPhases = Object.freeze({
+    IDLE: 'idle', // no round yet, or it was cleared
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    OVER: 'over'
+});
+
+// Scratch objects so shooting and hit tests don't allocate per pellet
+const pelletDirection = new THREE.Vector3();
+const aimDirection = new THREE.Vector3();
+const toTarget = new THREE.Vector3();
+const inverseAim = new THREE.Quaternion();
+const shotRay = new THREE.Ray();
+
+export class GameSimulation {
+    // events: EventBus for the game events (optional); position / orientation: the player's eye;
+    // hitTest(origin, direction, isHittable) -> { target, point } or null
+    constructor({ events = null, position = new THREE.Vector3(), orientation = new THREE.Quaternion(), hitTest = null, weaponPresets = WEAPON_PRESETS } = {}, callbacks = {}) {
+        this.events = events;
+        this.position = position;
+        this.orientation = orientation;
+        this.callbacks = callbacks;
+        this.hitTest = hitTest || ((origin, direction, filter) => this.raycastSpheres(origin, direction, filter));
+        this.isHittable = (target) => !target.destroyed && target.hitPoints > 0;
+
+        // Spawns, target behaviour and pellet spread all roll the round's seeded Random
+        this.random = new Random();
+        this.targets = [];
+        this.spawner = new Spawner(position, () => this.targets, this.random.next);
+        this.spawner.onSpawn = (target, config) => this.emit('targetSpawned', { target, config });
+        this.targetPool = new TargetPool(this.spawner, this.random.next);
+
+        this.weapons = weaponPresets.map(preset => new Weapon(preset, this.random.next));
+        this.weapon = this.weapons[0];
+        this.triggerHeld = false;
+
+        this.stats = new RoundStats(); // shots, hits, streaks and survival time for the results screen
+        this.scoring = new Scoring(); // precision / speed bonuses and the combo multiplier
+        this.analytics = new AimAnalytics(); // per-shot aim metrics for the analytics view and CSV export
+
+        this.phase = SimPhases.IDLE;
+        this.level = null;
+        this.mode = GAME_MODES.survival;
+        this.modeStats = null; // what the scenario modes' results are made of, see resetModeStats()
+        this.spawnConfig = null; // config the live targets spawn from: the level, or the current wave in wave mode
+        this.waves = null; // WaveDirector when the level defines waves
+        this.seed = null;
+        this.tick = 0; // clock steps run since the round started (countdown included)
+        this.score = 0;
+        this.timeLeft = 0;
+        this.countdown = 0; // seconds of countdown left
+        this.health = 0;
+        this.maxHealth = 0;
+        this.endReason = null;
+    }
+
+    emit(event, payload) {
+        if (this.events) this.events.emit(event, payload);
+    }
+
+    callback(name, ...args) {
+        if (this.callbacks[name]) this.callbacks[name](...args);
+    }
+
+    // Reset everything for a round of level and start its countdown. weapon is the index of the gun
+    // to start with (a replay's); replay says whether a recording is driving the inputs.
+    start(level, { seed = randomSeed(), levelKey = level.id, weapon = null, replay = false } = {}) {
+        this.random.reseed(seed);
+        this.seed = seed;
+        this.tick = 0;
+        this.level = level;
+        this.mode = GAME_MODES[level.mode] || GAME_MODES.survival;
+        this.resetModeStats();
+        this.score = 0;
+        this.timeLeft = level.gameTime;
+        this.countdown = COUNTDOWN_TIME;
+        this.health = level.playerHealth;
+        this.maxHealth = level.playerHealth;
+        this.endReason = null;
+        this.stats.reset();
+        this.scoring.reset();
+        this.analytics.reset();
+        if (weapon !== null) this.weapon = this.weapons[weapon] || this.weapons[0];
+        this.weapons.forEach(w => w.reset());
+        this.triggerHeld = false;
+        this.spawnConfig = level;
+        this.waves = level.waves ? this.createWaveDirector(level) : null;
+        this.phase = SimPhases.COUNTDOWN;
+
+        this.emit('roundStart', {
+            level,
+            levelKey,
+            seed,
+            replay,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            score: this.score,
+            scoring: this.scoring,
+            weapon: this.weapon,
+            weapons: this.weapons
+        });
+
+        // Wave mode spawns its targets wave by wave once play starts
+        if (this.waves) {
+            this.clearTargets();
+        } else {
+            this.createTargets(level);
+        }
+    }
+
+    resetModeStats() {
+        this.modeStats = {
+            kills: 0,
+            killTimes: [], // seconds from spawn to kill, per kill
+            expired: 0, // targets that ran out of lifetime before they were hit
+            heldTime: 0, // seconds with the trigger held (tracking)
+            trackedTime: 0 // seconds on target with the trigger held (tracking)
+        };
+    }
+
+    // Put every target back in the pool and stop the round (back to the menu)
+    clear() {
+        this.clearTargets();
+        this.phase = SimPhases.IDLE;
+    }
+
+    clearTargets() {
+        this.targets.forEach(target => this.targetPool.release(target));
+        this.targets = [];
+    }
+
+    // Take one target out of play and hand it back to the pool
+    removeTarget(target) {
+        this.targets = this.targets.filter(t => t !== target);
+        this.targetPool.release(target);
+    }
+
+    createTargets(levelConfig) {
+        this.clearTargets();
+
+        for (let i = 0; i < levelConfig.targetCount; i++) {
+            const slot = { index: i, total: levelConfig.targetCount };
+            this.targets.push(this.targetPool.acquire(levelConfig, slot, pickTargetType(levelConfig.targetMix, this.random.next)));
+        }
+    }
+
+    // Targets that have not been shot down (in wave mode shot targets are removed, not respawned)
+    aliveTargets() {
+        return this.targets.filter(target => !target.destroyed);
+    }
+
+    // What still has to be shot to clear a wave (decoys and bonus targets don't count)
+    targetsToClear() {
+        return this.aliveTargets().filter(target => target.type.mustClear).length;
+    }
+
+    createWaveDirector(level) {
+        return new WaveDirector(level, {
+            onIntermission: (waveNumber, totalWaves) => {
+                this.callback('onWaveIntermission', waveNumber, totalWaves);
+            },
+            onWaveStart: (wave) => {
+                this.callback('onWaveStart', wave);
+                this.spawnConfig = wave;
+                this.createTargets(wave);
+            },
+            onComplete: () => {
+                this.end('cleared');
+            }
+        });
+    }
+
+    // End the round once; reason is 'timeout', 'hit' (out of health) or 'cleared' (all waves done)
+    end(reason) {
+        if (this.phase !== SimPhases.PLAYING) return;
+
+        this.phase = SimPhases.OVER;
+        this.endReason = reason;
+        this.triggerHeld = false;
+        this.callback('onEnd', reason);
+    }
+
+    get running() {
+        return this.phase === SimPhases.COUNTDOWN || this.phase === SimPhases.PLAYING;
+    }
+
+    // The round's numbers for a results screen or a report; modeResults are the rows a scenario
+    // mode's results screen shows (null in survival)
+    summary() {
+        const stats = { ...this.stats.summary(), ...this.modeStats };
+        return {
+            reason: this.endReason,
+            score: this.score,
+            wave: this.waves ? `${this.waves.waveNumber}/${this.waves.totalWaves}` : null,
+            seed: this.seed,
+            mode: this.level.mode || 'survival',
+            modeResults: this.mode.results ? this.mode.results(stats) : null,
+            ...stats,
+            accuracy: this.mode.accuracy ? this.mode.accuracy(stats) : stats.accuracy
+        };
+    }
+
+    // Inputs - the trigger only works while playing; an automatic gun keeps firing while it is held,
+    // and in tracking mode holding it measures time on target instead of firing
+    pullTrigger() {
+        if (this.phase !== SimPhases.PLAYING) return;
+        this.triggerHeld = true;
+        if (!this.mode.tracking) this.fire();
+    }
+
+    // Returns false if the trigger wasn't held
+    releaseTrigger() {
+        if (!this.triggerHeld) return false;
+        this.triggerHeld = false;
+        return true;
+    }
+
+    reload() {
+        if (this.weapon.reload()) {
+            this.callback('onAmmo', this.weapon, this.weapons);
+        }
+    }
+
+    // Returns false if there is no such gun or it is already in hand
+    switchWeapon(index) {
+        if (!this.weapons[index] || this.weapons[index] === this.weapon) return false;
+
+        this.weapon = this.weapons[index];
+        this.weapon.equip();
+        this.callback('onAmmo', this.weapon, this.weapons);
+        return true;
+    }
+
+    // Nearest target whose bounding sphere the ray passes through, the default hit test
+    raycastSpheres(origin, direction, filter) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const target of this.targets) {
+            if (!filter(target)) continue;
+
+            toTarget.subVectors(target.position, origin);
+            const along = toTarget.dot(direction);
+            const radius = target.size / 2;
+            const missBy = toTarget.lengthSq() - along * along;
+            if (along < 0 || missBy > radius * radius) continue;
+
+            const distance = along - Math.sqrt(radius * radius - missBy);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = target;
+            }
+        }
+        return nearest ? { target: nearest, point: origin.clone().addScaledVector(direction, nearestDistance) } : null;
+    }
+
+    // Apply one hit to a target at a world-space point, by a shot from the player along direction, and
+    // score it. Returns true if it destroyed the target.
+    hitTarget(target, point, direction) {
+        const { destroyed, points: basePoints } = target.hit();
+        const killTime = destroyed ? target.age : null;
+        const { points, bullseye, speedBonus } = this.mode.scoreKill
+            ? this.scoreModeHit(basePoints, killTime)
+            : this.scoring.scoreHit({
+                typeName: target.typeName,
+                basePoints,
+                // How close the shot's line passed to the centre; the hit point itself is always on the surface
+                precision: Scoring.precision(shotRay.set(this.position, direction).distanceToPoint(target.position), target.size / 2),
+                killTime
+            });
+        if (destroyed && basePoints > 0) {
+            this.modeStats.kills++;
+            this.modeStats.killTimes.push(killTime);
+        }
+
+        target.flash();
+        this.score = Math.max(0, this.score + points);
+        this.emit('targetHit', {
+            target,
+            point,
+            points,
+            bullseye,
+            speedBonus,
+            destroyed,
+            score: this.score,
+            scoring: this.scoring
+        });
+
+        // In wave mode a shot target is gone for good; it stops moving and counting right away
+        if (destroyed && this.waves) {
+            target.destroyed = true;
+        }
+        return destroyed;
+    }
+
+    // Points for a hit in a scenario mode: its own for a kill, none for armour, the type's for a decoy
+    scoreModeHit(basePoints, killTime) {
+        let points = 0;
+        if (basePoints < 0) {
+            points = basePoints;
+        } else if (killTime !== null) {
+            points = this.mode.scoreKill({ killTime, level: this.level });
+        }
+        return { points, bullseye: false, speedBonus: 0 };
+    }
+
+    // Once a target's hit flash is over: remove it (wave mode), respawn it, or let an armoured one carry on
+    finishHitFlash(target) {
+        if (target.destroyed) {
+            this.removeTarget(target);
+        } else if (target.hitPoints <= 0) {
+            target.respawn(this.spawnConfig);
+        }
+    }
+
+    // The shootable target (decoys aside) closest to the crosshair by angle, or null
+    nearestTarget(direction) {
+        let nearest = null;
+        let bestDot = -Infinity;
+        for (const target of this.targets) {
+            if (!this.isHittable(target) || target.type.points < 0) continue;
+
+            const dot = toTarget.subVectors(target.position, this.position).normalize().dot(direction);
+            if (dot > bestDot) {
+                bestDot = dot;
+                nearest = target;
+            }
+        }
+        return nearest;
+    }
+
+    // Tell the aim analytics where the crosshair was and where the shot's target was: the one hit
+    // (shotTarget) or, for a miss, the nearest one
+    recordAimAnalytics(hit, shotTarget, killed) {
+        aimDirection.set(0, 0, -1).applyQuaternion(this.orientation);
+        const target = shotTarget || this.nearestTarget(aimDirection);
+
+        let description = null;
+        if (target) {
+            toTarget.subVectors(target.position, this.position).normalize();
+            const direction = toTarget.toArray();
+            // In the crosshair's frame: x right, y up, -z straight ahead
+            toTarget.applyQuaternion(inverseAim.copy(this.orientation).invert());
+            description = {
+                type: target.typeName,
+                direction,
+                offset: [
+                    THREE.MathUtils.radToDeg(Math.atan2(toTarget.x, -toTarget.z)),
+                    THREE.MathUtils.radToDeg(Math.atan2(toTarget.y, -toTarget.z))
+                ],
+                killed,
+                timeToKill: killed ? target.age : null
+            };
+        }
+
+        this.analytics.recordShot({
+            time: this.stats.timeSurvived,
+            weapon: this.weapon.name,
+            aim: aimDirection.toArray(),
+            hit,
+            target: description
+        });
+    }
+
+    // Pull the trigger once: one ray per pellet, each spread around the crosshair
+    fire() {
+        const pellets = this.weapon.fire();
+        this.callback('onAmmo', this.weapon, this.weapons);
+        if (!pellets) return;
+
+        let hitSomething = false;
+        let hitDecoy = false;
+        let shotTarget = null; // the first non-decoy target hit, which the aim analytics measure against
+        let shotKilled = false;
+        const killed = [];
+        pellets.forEach(({ x, y }) => {
+            pelletDirection.set(x, y, -1).normalize().applyQuaternion(this.orientation);
+
+            // Targets knocked down by an earlier pellet of this shot (or still flashing) can't be hit again
+            const hit = this.hitTest(this.position, pelletDirection, this.isHittable);
+            if (!hit) return;
+
+            const { target, point } = hit;
+            // Shooting a decoy is a mistake: it costs points and breaks the streak like a miss
+            if (target.type.points < 0) {
+                hitDecoy = true;
+            } else {
+                hitSomething = true;
+                if (!shotTarget) shotTarget = target;
+            }
+            if (this.hitTarget(target, point, pelletDirection)) {
+                killed.push(target);
+                if (target === shotTarget) shotKilled = true;
+            }
+        });
+
+        const hit = hitSomething && !hitDecoy;
+        this.stats.recordShot(hit);
+        this.recordAimAnalytics(hit, shotTarget, shotKilled);
+        if (this.mode.scoreKill) {
+            if (!hit) this.score = Math.max(0, this.score + this.mode.missPoints);
+        } else {
+            this.scoring.registerShot(hit);
+        }
+        // Scenario modes put a killed target straight back, somewhere else, once the whole shot is done
+        if (this.mode.instantRespawn) {
+            killed.forEach(target => target.respawn(this.spawnConfig));
+        }
+        this.emit('shotFired', {
+            weapon: this.weapon,
+            hit,
+            decoy: hitDecoy,
+            target: shotTarget,
+            killed: shotKilled,
+            score: this.score,
+            scoring: this.scoring
+        });
+    }
+
+    // Tracking mode: one clock step with the trigger held scores if the crosshair is on a target
+    track(delta) {
+        aimDirection.set(0, 0, -1).applyQuaternion(this.orientation);
+        const hit = this.hitTest(this.position, aimDirection, this.isHittable);
+        this.modeStats.heldTime += delta; // not a shot: RoundStats only counts trigger pulls
+        if (!hit) return;
+
+        hit.target.flash(); // stays lit while it is tracked
+        this.modeStats.trackedTime += delta;
+        this.score = Math.round(this.modeStats.trackedTime * this.mode.trackPoints);
+        this.callback('onScore', this.score);
+    }
+
+    // Advance the countdown by one clock step and start the round once it reaches zero
+    updateCountdown(delta) {
+        const shownBefore = Math.ceil(this.countdown);
+        this.countdown -= delta;
+        const shownAfter = Math.ceil(this.countdown);
+
+        if (this.countdown <= 0) {
+            this.phase = SimPhases.PLAYING;
+            this.callback('onPlay');
+            if (this.waves) this.waves.start(); // "Wave 1" banner
+        } else if (shownAfter !== shownBefore) {
+            this.callback('onCountdown', shownAfter);
+        }
+    }
+
+    // Advance the match timer by one clock step; the callback only hears about whole seconds
+    updateTimer(delta) {
+        const shownBefore = Math.ceil(this.timeLeft);
+        this.timeLeft -= delta;
+        if (Math.ceil(this.timeLeft) !== shownBefore) {
+            this.callback('onTimer', this.timeLeft);
+        }
+
+        if (this.timeLeft <= 0) {
+            this.end('timeout');
+        }
+    }
+
+    // A target reached the player: take its damage and get it out of the way
+    handleCollision(target) {
+        const damage = target.contactDamage(this.level);
+        this.health = Math.max(0, this.health - damage);
+        this.emit('playerHit', { target, damage, health: this.health, maxHealth: this.maxHealth });
+
+        if (this.health <= 0) {
+            this.end('hit');
+
+            // Visual feedback - make the hitting target red
+            target.color.set(0xff0000);
+            return;
+        }
+
+        // The target is destroyed by the impact: gone for good in wave mode, otherwise it respawns
+        if (this.waves) {
+            target.destroyed = true;
+            this.removeTarget(target);
+        } else {
+            target.respawn(this.spawnConfig);
+        }
+    }
+
+    // One fixed clock step of the round
+    update(delta) {
+        if (!this.running) return;
+
+        this.tick++;
+        this.callback('onAim', delta);
+
+        if (this.phase === SimPhases.COUNTDOWN) {
+            this.updateCountdown(delta);
+            return;
+        }
+
+        this.stats.addTime(delta);
+
+        if (this.scoring.update(delta)) {
+            this.callback('onComboTimeout');
+        }
+
+        // Move the player first so targets steer towards (and collide with) where they are now
+        this.callback('onMove', delta);
+
+        this.targets.slice().forEach(target => {
+            if (target.updateFlash(delta)) this.finishHitFlash(target);
+        });
+
+        if (this.weapon.update(delta)) {
+            this.callback('onAmmo', this.weapon, this.weapons); // reload finished
+        }
+        if (this.triggerHeld && this.mode.tracking) {
+            this.track(delta);
+        } else if (this.triggerHeld && this.weapon.automatic && this.weapon.canFire()) {
+            this.fire();
+        }
+
+        const waves = this.waves;
+        if (waves) {
+            // The match timer stands still while the "Wave N" banner is up
+            if (!waves.inIntermission) this.updateTimer(delta);
+            waves.update(delta, this.targetsToClear());
+        } else {
+            this.updateTimer(delta);
+        }
+
+        for (const target of this.aliveTargets()) {
+            if (this.phase !== SimPhases.PLAYING) break; // the timer may have just ended the round
+
+            if (target.update(this.position, this.spawnConfig, delta)) this.modeStats.expired++;
+            if (waves) target.setBaseSpeed(waves.currentSpeed);
+
+            // Check for collision - the loop stops at the top once a collision has ended the round
+            if (target.checkCollision(this.position)) {
+                this.handleCollision(target);
+            }
+        }
+    }
+}
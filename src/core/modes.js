@@ -0,0 +1,95 @@
+/*
+modes.js
+The game modes a level can be played in (its "mode" field). Survival is the original game: targets
+fly at the player until the timer runs out or their health does, scored by the Scoring class. The
+others are classic aim-trainer scenarios built on the same targets, hit tests and match timer:
+- gridshot: a few still targets on a grid; a target that is hit pops up again at once in another cell
+- tracking: one target swaying side to side; holding the trigger while on it scores time on target
+- flick: one still target at a random angle around the player; the faster the kill, the more points
+- reflex: still targets that vanish after the level's targetLifetime; the faster the reaction, the more points
+
+A mode says how a kill and a miss score (scoreKill, missPoints), whether a killed target respawns at
+once instead of after its hit flash (instantRespawn), whether the trigger tracks instead of firing
+(tracking, scored trackPoints per second on target), what its summary and leaderboard entries
+report as accuracy when that isn't the share of shots that hit (accuracy) and which rows its results
+screen shows (results). Survival leaves all of these out. The difficulty of each mode (target count, size, speed,
+spawn pattern, time) is up to its levels, as in survival; levels.json has a set for every mode.
+
+Purpose
+Its purpose is to keep the rules that differ between modes side by side as data, so the
+GameSimulation only asks the round's mode how to score and respawn, and a new mode is one more entry
+here. Like targetTypes.js it has no Three.js imports, so the level schema can use the mode names.
+*/
+
+const FLICK_TIME = 1.5; // seconds after which a flick only scores the minimum
+const MIN_FLICK_POINTS = 10;
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+const percent = (value) => `${value.toFixed(1)}%`;
+// Tracking fires no shots; its accuracy is the share of the time the trigger was held spent on target
+const heldOnTarget = ({ trackedTime, heldTime }) => heldTime > 0 ? trackedTime / heldTime * 100 : 0;
+const milliseconds = (seconds) => seconds === null ? '—' : `${Math.round(seconds * 1000)} ms`;
+
+export const GAME_MODES = {
+    survival: {
+        name: 'Survival', icon: '🚀',
+        description: 'Targets fly at you until the timer runs out'
+    },
+    gridshot: {
+        name: 'Gridshot', icon: '🟦',
+        description: 'Clear a grid of targets that pop up again as soon as they are hit',
+        instantRespawn: true,
+        scoreKill: () => 100,
+        missPoints: -25,
+        results: ({ kills, shots, accuracy, timeSurvived }) => [
+            ['Targets Hit', kills],
+            ['Shots Fired', shots],
+            ['Accuracy', percent(accuracy)],
+            ['Targets per Minute', timeSurvived > 0 ? Math.round(kills / timeSurvived * 60) : 0]
+        ]
+    },
+    tracking: {
+        name: 'Tracking', icon: '〰️',
+        description: 'Hold the trigger and keep your crosshair on a strafing target',
+        tracking: true,
+        trackPoints: 100,
+        accuracy: heldOnTarget,
+        results: (stats) => [
+            ['Time on Target', `${stats.trackedTime.toFixed(1)}s`],
+            ['On Target (whole round)', percent(stats.timeSurvived > 0 ? stats.trackedTime / stats.timeSurvived * 100 : 0)],
+            ['On Target (trigger held)', percent(heldOnTarget(stats))]
+        ]
+    },
+    flick: {
+        name: 'Flick', icon: '⚡',
+        description: 'One target at a time, somewhere around you - snap to it as fast as you can',
+        instantRespawn: true,
+        scoreKill: ({ killTime }) => Math.max(MIN_FLICK_POINTS, Math.round(100 * (1 - killTime / FLICK_TIME))),
+        missPoints: -25,
+        results: ({ kills, accuracy, killTimes }) => [
+            ['Flicks', kills],
+            ['Accuracy', percent(accuracy)],
+            ['Average Flick Time', milliseconds(mean(killTimes))],
+            ['Fastest Flick', milliseconds(killTimes.length > 0 ? Math.min(...killTimes) : null)]
+        ]
+    },
+    reflex: {
+        name: 'Reflex', icon: '⏱️',
+        description: 'Targets vanish after a moment - hit them before they do',
+        instantRespawn: true,
+        scoreKill: ({ killTime, level }) => 50 + Math.round(50 * Math.max(0, 1 - killTime / (level.targetLifetime / 1000))),
+        missPoints: 0,
+        results: ({ kills, expired, accuracy, killTimes }) => [
+            ['Targets Hit', kills],
+            ['Targets Missed', expired],
+            ['Hit Rate', percent(kills + expired > 0 ? kills / (kills + expired) * 100 : 0)],
+            ['Accuracy', percent(accuracy)],
+            ['Average Reaction', milliseconds(mean(killTimes))]
+        ]
+    }
+};
+
+export const GAME_MODE_NAMES = Object.keys(GAME_MODES);
@@ -0,0 +1,78 @@
+/*
+AimAssist.js
+The AimAssist class helps controller players the way console shooters do. "slowdown" lowers the
+right-stick look speed while the crosshair is on or near a target, so the stick doesn't overshoot
+it; "pull" gently turns the view towards the nearest target while the player is aiming with the
+stick. Both only ever act on stick input: mouse aim is never touched. Decoys are ignored so the
+assist never drags the player into a penalty.
+
+Purpose
+Its purpose is to make controller aiming workable without turning it into an aimbot; strength
+(0 to 1) scales both effects.
+*/
+import * as THREE from 'three';
+
+const ASSIST_RADII = 2.5; // assist acts within this many target radii of the crosshair
+const MAX_SLOWDOWN = 0.6; // fraction of stick speed removed at full strength
+const PULL_RATE = 4; // fraction of the remaining angle closed per second at full strength
+
+const FORWARD = new THREE.Vector3(0, 0, -1);
+const toTarget = new THREE.Vector3();
+const inverse = new THREE.Quaternion();
+
+export class AimAssist {
+    constructor(camera) {
+        this.camera = camera;
+    }
+
+    // The target closest to the crosshair (in angle) within the assist cone, as
+    // { target, yaw, pitch, closeness } with yaw/pitch the turn needed to centre it, or null
+    findTarget(targets) {
+        inverse.copy(this.camera.quaternion).invert();
+        let best = null;
+
+        for (const target of targets) {
+            if (target.destroyed || target.hitPoints <= 0 || target.type.points < 0) continue;
+
+            // Direction to the target in camera space (the camera looks down -z)
+            toTarget.subVectors(target.position, this.camera.position).applyQuaternion(inverse);
+            if (toTarget.z >= 0) continue;
+
+            const distance = toTarget.length();
+            const angle = toTarget.angleTo(FORWARD);
+            const cone = Math.atan2((target.size / 2) * ASSIST_RADII, distance);
+            if (angle > cone || (best && angle >= best.angle)) continue;
+
+            best = {
+                target,
+                angle,
+                closeness: 1 - angle / cone, // 1 = dead centre, 0 = edge of the cone
+                yaw: Math.atan2(-toTarget.x, -toTarget.z),
+                pitch: Math.atan2(toTarget.y, Math.hypot(toTarget.x, toTarget.z))
+            };
+        }
+        return best;
+    }
+
+    // Adjust one frame of stick look ({ yaw, pitch } in radians, positive = left / up) and return it
+    apply(look, targets, mode, strength, delta) {
+        if (mode === 'off' || strength <= 0) return look;
+
+        const aiming = look.yaw !== 0 || look.pitch !== 0;
+        const assist = aiming ? this.findTarget(targets) : null;
+        if (!assist) return look;
+
+        let { yaw, pitch } = look;
+        if (mode === 'slowdown' || mode === 'both') {
+            const slow = 1 - MAX_SLOWDOWN * strength * assist.closeness;
+            yaw *= slow;
+            pitch *= slow;
+        }
+        if (mode === 'pull' || mode === 'both') {
+            const pull = Math.min(1, PULL_RATE * strength * delta);
+            yaw += assist.yaw * pull;
+            pitch += assist.pitch * pull;
+        }
+        return { yaw, pitch };
+    }
+}
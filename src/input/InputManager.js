@@ -0,0 +1,214 @@
+/*
+InputManager.js
+The InputManager class turns physical input into actions. Keyboard, mouse and gamepad buttons are
+all reduced to codes (see bindings.js); when a code goes down or up, every action bound to it is
+reported to the 'press' and 'release' listeners, and isDown(action) answers "is it held right now".
+Gamepads have no events for their buttons and sticks, so update() polls them once per frame and
+also keeps the left stick (movement) and right stick (aim) positions, with the deadzone applied.
+Bindings are saved in localStorage; captureNext() grabs the next input for the rebinding UI.
+
+Purpose
+Its purpose is to let the game react to "fire" or "reload" without caring whether it came from a
+mouse, a keyboard or a controller, and to make every control rebindable in one place.
+*/
+import { ACTIONS, DEFAULT_BINDINGS, bindingKind } from './bindings.js';
+
+const STORAGE_KEY = 'fps-shooter.keybindings';
+const TRIGGER_THRESHOLD = 0.5; // analog triggers count as pressed past this point
+
+// Typing a player name must not start a level or fire
+function isTextField(element) {
+    return element && (element.tagName === 'INPUT' || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA');
+}
+
+// Stick position with a radial deadzone, rescaled so it still reaches 1 at full tilt
+function applyDeadzone(x, y, deadzone) {
+    const length = Math.hypot(x, y);
+    if (length <= deadzone) return { x: 0, y: 0 };
+
+    const scale = Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+    return { x: x * scale, y: y * scale };
+}
+
+export class InputManager {
+    constructor(target = window, storage = window.localStorage) {
+        this.storage = storage;
+        this.bindings = this.load();
+        this.held = new Set(); // codes currently down
+        this.listeners = { press: [], release: [], gamepad: [] };
+        this.capture = null; // { kind, callback } while the rebinding UI waits for an input
+
+        this.deadzone = 0.15;
+        this.leftStick = { x: 0, y: 0 };
+        this.rightStick = { x: 0, y: 0 };
+        this.gamepadId = null;
+        this.gamepadButtons = []; // codes of gamepad buttons held at the last poll
+
+        target.addEventListener('keydown', (e) => {
+            if (isTextField(e.target) || e.repeat) return;
+            this.handleInput(e.code, true, e);
+        });
+        target.addEventListener('keyup', (e) => this.handleInput(e.code, false, e));
+        target.addEventListener('mousedown', (e) => this.handleInput(`Mouse${e.button}`, true, e));
+        target.addEventListener('mouseup', (e) => this.handleInput(`Mouse${e.button}`, false, e));
+        // Keys released while the window is in the background never send a keyup
+        target.addEventListener('blur', () => this.releaseAll());
+    }
+
+    load() {
+        const bindings = {};
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+        } catch (err) {
+            console.error('Keybindings load error:', err);
+        }
+
+        Object.keys(ACTIONS).forEach(action => {
+            const codes = saved[action];
+            bindings[action] = Array.isArray(codes) && codes.every(code => typeof code === 'string')
+                ? [...codes]
+                : [...DEFAULT_BINDINGS[action]];
+        });
+        return bindings;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.error('Keybindings save error:', err);
+        }
+    }
+
+    // The code bound to an action for one kind of device ('keyboard' or 'gamepad'), or null
+    getBinding(action, kind) {
+        return this.bindings[action].find(code => bindingKind(code) === kind) || null;
+    }
+
+    // Bind code to action, replacing the action's old binding of the same kind. Actions of the same
+    // context lose the code so one input never triggers two live actions.
+    setBinding(action, code) {
+        const kind = bindingKind(code);
+        const { context } = ACTIONS[action];
+
+        Object.keys(this.bindings).forEach(other => {
+            if (other !== action && ACTIONS[other].context === context) {
+                this.bindings[other] = this.bindings[other].filter(c => c !== code);
+            }
+        });
+        this.bindings[action] = [...this.bindings[action].filter(c => bindingKind(c) !== kind), code];
+        this.save();
+    }
+
+    resetBindings() {
+        Object.keys(ACTIONS).forEach(action => {
+            this.bindings[action] = [...DEFAULT_BINDINGS[action]];
+        });
+        this.save();
+    }
+
+    // Actions bound to a code
+    actionsFor(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(code));
+    }
+
+    isDown(action) {
+        return this.bindings[action].some(code => this.held.has(code));
+    }
+
+    // event: 'press' | 'release' with listener(action, domEvent), or 'gamepad' with listener(id or null).
+    // Returns a function that unsubscribes.
+    on(event, listener) {
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+        };
+    }
+
+    emit(event, ...args) {
+        this.listeners[event].forEach(listener => listener(...args));
+    }
+
+    // Hand the next pressed input of a kind to callback(code) instead of the game; Escape cancels
+    captureNext(kind, callback) {
+        this.capture = { kind, callback };
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    handleInput(code, pressed, event = null) {
+        if (this.capture && pressed) {
+            const { kind, callback } = this.capture;
+            if (code === 'Escape') {
+                this.capture = null;
+                callback(null);
+            } else if (bindingKind(code) === kind) {
+                this.capture = null;
+                callback(code);
+            }
+            return;
+        }
+
+        if (pressed === this.held.has(code)) return;
+
+        // An action held through another binding stays down until all of them are up
+        const actions = this.actionsFor(code);
+        const wasDown = actions.filter(action => this.isDown(action));
+        if (pressed) {
+            this.held.add(code);
+            actions.filter(action => !wasDown.includes(action)).forEach(action => this.emit('press', action, event));
+        } else {
+            this.held.delete(code);
+            wasDown.filter(action => !this.isDown(action)).forEach(action => this.emit('release', action, event));
+        }
+    }
+
+    // Let go of everything, e.g. when the pointer lock is lost and the keyups won't reach us
+    releaseAll() {
+        [...this.held].forEach(code => this.handleInput(code, false));
+        this.gamepadButtons = []; // still-held gamepad buttons press again on the next poll
+    }
+
+    // Poll the first connected gamepad; call once per frame
+    update() {
+        const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads).find(p => p && p.connected) || null;
+
+        const id = pad ? pad.id : null;
+        if (id !== this.gamepadId) {
+            this.gamepadId = id;
+            this.emit('gamepad', id);
+        }
+
+        if (!pad) {
+            this.gamepadButtons.forEach(code => this.handleInput(code, false));
+            this.gamepadButtons = [];
+            this.leftStick = { x: 0, y: 0 };
+            this.rightStick = { x: 0, y: 0 };
+            return;
+        }
+
+        const pressed = [];
+        pad.buttons.forEach((button, index) => {
+            if (button.pressed || button.value > TRIGGER_THRESHOLD) pressed.push(`Gamepad${index}`);
+        });
+        this.gamepadButtons.filter(code => !pressed.includes(code)).forEach(code => this.handleInput(code, false));
+        pressed.filter(code => !this.gamepadButtons.includes(code)).forEach(code => this.handleInput(code, true));
+        this.gamepadButtons = pressed;
+
+        const axes = pad.axes;
+        this.leftStick = applyDeadzone(axes[0] || 0, axes[1] || 0, this.deadzone);
+        this.rightStick = applyDeadzone(axes[2] || 0, axes[3] || 0, this.deadzone);
+    }
+
+    // Movement input as { x: right, y: forward }, from the movement actions and the left stick
+    get moveVector() {
+        const x = (this.isDown('moveRight') ? 1 : 0) - (this.isDown('moveLeft') ? 1 : 0) + this.leftStick.x;
+        const y = (this.isDown('moveForward') ? 1 : 0) - (this.isDown('moveBack') ? 1 : 0) - this.leftStick.y;
+        const length = Math.hypot(x, y);
+        return length > 1 ? { x: x / length, y: y / length } : { x, y };
+    }
+}
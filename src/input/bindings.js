@@ -0,0 +1,101 @@
+/*
+bindings.js
+Lists every action the player can trigger and the physical inputs bound to it by default. A
+binding is a code: a KeyboardEvent.code ("KeyR", "Space"), a mouse button ("Mouse0" is the left
+button) or a standard-mapping gamepad button ("Gamepad7" is the right trigger). Each action has a
+context; two actions may share a code only if they are never live at the same time (the number
+keys switch weapons while playing but pick a level in the menu).
+
+Purpose
+Its purpose is to keep the action list and the defaults as plain data, shared by the InputManager,
+the game code that reacts to actions and the rebinding UI.
+*/
+
+// context: play (countdown, playing, paused) | menu
+export const ACTIONS = {
+    fire: { label: 'Fire', context: 'play' },
+    reload: { label: 'Reload', context: 'play' },
+    weapon1: { label: 'Pistol', context: 'play' },
+    weapon2: { label: 'SMG', context: 'play' },
+    weapon3: { label: 'Shotgun', context: 'play' },
+    nextWeapon: { label: 'Next weapon', context: 'play' },
+    previousWeapon: { label: 'Previous weapon', context: 'play' },
+    moveForward: { label: 'Move forward', context: 'play' },
+    moveBack: { label: 'Move back', context: 'play' },
+    moveLeft: { label: 'Move left', context: 'play' },
+    moveRight: { label: 'Move right', context: 'play' },
+    sprint: { label: 'Sprint', context: 'play' },
+    jump: { label: 'Jump', context: 'play' },
+    pause: { label: 'Pause', context: 'play' },
+    restart: { label: 'Restart level', context: 'play' },
+    level1: { label: 'Level 1', context: 'menu' },
+    level2: { label: 'Level 2', context: 'menu' },
+    level3: { label: 'Level 3', context: 'menu' },
+    level4: { label: 'Level 4', context: 'menu' },
+    level5: { label: 'Level 5', context: 'menu' },
+    level6: { label: 'Level 6', context: 'menu' },
+    level7: { label: 'Level 7', context: 'menu' },
+    level8: { label: 'Level 8', context: 'menu' },
+    level9: { label: 'Level 9', context: 'menu' }
+};
+
+export const DEFAULT_BINDINGS = {
+    fire: ['Mouse0', 'Gamepad7'],
+    reload: ['KeyR', 'Gamepad2'],
+    weapon1: ['Digit1'],
+    weapon2: ['Digit2'],
+    weapon3: ['Digit3'],
+    nextWeapon: ['Gamepad5'],
+    previousWeapon: ['Gamepad4'],
+    moveForward: ['KeyW', 'Gamepad12'],
+    moveBack: ['KeyS', 'Gamepad13'],
+    moveLeft: ['KeyA', 'Gamepad14'],
+    moveRight: ['KeyD', 'Gamepad15'],
+    sprint: ['ShiftLeft', 'Gamepad10'],
+    jump: ['Space', 'Gamepad0'],
+    pause: ['KeyP', 'Gamepad9'],
+    restart: ['KeyT', 'Gamepad8'],
+    level1: ['Digit1'],
+    level2: ['Digit2'],
+    level3: ['Digit3'],
+    level4: ['Digit4'],
+    level5: ['Digit5'],
+    level6: ['Digit6'],
+    level7: ['Digit7'],
+    level8: ['Digit8'],
+    level9: ['Digit9']
+};
+
+// Standard mapping (https://w3c.github.io/gamepad/#remapping), Xbox-style names
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+const MOUSE_BUTTON_NAMES = ['Left click', 'Middle click', 'Right click', 'Mouse 4', 'Mouse 5'];
+
+// 'gamepad' or 'keyboard' (mouse buttons count as keyboard: one slot for each per action)
+export function bindingKind(code) {
+    return code.startsWith('Gamepad') ? 'gamepad' : 'keyboard';
+}
+
+// Human-readable name of a code for the rebinding UI
+export function describeBinding(code) {
+    if (!code) return '—';
+
+    if (code.startsWith('Gamepad')) {
+        const index = Number(code.slice(7));
+        return `🎮 ${GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`}`;
+    }
+    if (code.startsWith('Mouse')) {
+        const index = Number(code.slice(5));
+        return MOUSE_BUTTON_NAMES[index] || `Mouse ${index + 1}`;
+    }
+    if (code.startsWith('Arrow')) {
+        return `Arrow ${code.slice(5)}`;
+    }
+    // KeyR -> R, Digit1 -> 1, ShiftLeft -> Shift (Left)
+    return code
+        .replace(/^(Key|Digit)/, '')
+        .replace(/(.)(Left|Right)$/, '$1 ($2)');
+}
@@ -1,14 +0,0 @@
-// Beginner difficulty settings
-
-export const beginner = {
-    name: 'Beginner',
-    targetCount: 5, // how many targets
-    targetSpeed: 0.05, // speed of targets
-    targetSize: 1.8, // size multiplier
-    gameTime: 90, // 1.5 minutes
-    spawnRange: { x: 15, y: 5, z: 40 }, // spawn area dimensions
-    color: 0x00ff00,
-    description: 'Easy targets, more time',
-    collisionDistance: 3.0, // More forgiving
-    icon: '🟢'
-};
\ No newline at end of file
@@ -1,14 +0,0 @@
-// Intermediate difficulty settings
-
-export const intermediate = {
-    name: 'Intermediate',
-    targetCount: 15 , // how many targets
-    targetSpeed: 0.10, // speed of targets
-    targetSize: 3.2, // size multiplier
-    gameTime: 60, // 1 minutes
-    spawnRange: { x: 30, y: 10, z: 80 },
-    color: 0xffa500,
-    description: 'Moderate challenge',
-    collisionDistance: 3.0, // More forgiving
-    icon: '🟠'
-};
\ No newline at end of file
@@ -0,0 +1,266 @@
+/*
+schema.js
+Describes what a level definition may contain and checks level data against it. Levels come from
+the JSON manifest in public/levels/levels.json or from a custom level file the player drops in, so
+every value is validated here before the game uses it. All problems in a level are collected and
+reported together in a LevelValidationError.
+
+Purpose
+Its purpose is to turn untrusted level JSON into a normalized level config (defaults filled in,
+colours converted to numbers) or fail with messages clear enough to fix the file by hand.
+*/
+
+import { TARGET_TYPE_NAMES } from '../components/targetTypes.js';
+import { GAME_MODE_NAMES } from '../core/modes.js';
+
+export const SPAWN_PATTERNS = ['random', 'line', 'arc', 'ring', 'grid', 'lanes'];
+
+// Spawn pattern settings and spawn-safety rules; every field has a default (see Spawner.js)
+export const SPAWN_SCHEMA = {
+    minSeparation: { type: 'number', min: 0, max: 100, default: 2 }, // between live targets
+    minCameraDistance: { type: 'number', min: 0, max: 500, default: 8 },
+    arc: { type: 'number', min: 1, max: 360, default: null }, // degrees around the player for random and ring
+    distance: { type: 'number', min: 1, max: 500, default: null }, // from the player for ring and grid
+    columns: { type: 'integer', min: 1, max: 20, default: 5 }, // grid
+    rows: { type: 'integer', min: 1, max: 20, default: 3 }, // grid
+    spacing: { type: 'number', min: 0.1, max: 50, default: 3 }, // grid
+    lanes: { type: 'integer', min: 1, max: 20, default: 5 } // lanes
+};
+
+// Player movement; a level without a "movement" object keeps the player standing at the centre
+export const MOVEMENT_SCHEMA = {
+    walkSpeed: { type: 'number', min: 0.5, max: 50, default: 6 }, // world units per second
+    sprintMultiplier: { type: 'number', min: 1, max: 5, default: 1.7 },
+    jumpSpeed: { type: 'number', min: 0, max: 50, default: 7 }, // upward speed at take-off, 0 = no jumping
+    gravity: { type: 'number', min: 1, max: 100, default: 20 },
+    arenaSize: { type: 'number', min: 5, max: 500, default: 30 } // walls stand this far from the centre
+};
+
+// One wave of a wave-mode level; spawn pattern, spawn settings, size and colour fall back to the
+// level's own values
+export const WAVE_SCHEMA = {
+    targetCount: { type: 'integer', min: 1, max: 500, required: true },
+    targetSpeed: { type: 'number', min: 0, max: 100, required: true }, // world units per second
+    speedRamp: { type: 'number', min: 0, max: 10, default: 0 }, // speed gained per second of the wave
+    spawnPattern: { type: 'enum', values: SPAWN_PATTERNS, default: null },
+    spawn: { type: 'object', of: SPAWN_SCHEMA, default: null },
+    targetSize: { type: 'number', min: 0.1, max: 20, default: null },
+    color: { type: 'color', default: null },
+    targetMix: { type: 'weights', keys: TARGET_TYPE_NAMES, default: null }
+};
+
+// type: id | string | integer | number | enum | color | colorList | range | object | list | weights
+export const LEVEL_SCHEMA = {
+    id: { type: 'id', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string', default: '' },
+    icon: { type: 'string', default: '🎯' },
+    mode: { type: 'enum', values: GAME_MODE_NAMES, default: 'survival' }, // see src/core/modes.js
+    targetCount: { type: 'integer', min: 1, max: 500, required: true },
+    targetSpeed: { type: 'number', min: 0, max: 100, required: true }, // world units per second
+    targetSize: { type: 'number', min: 0.1, max: 20, required: true },
+    gameTime: { type: 'number', min: 1, max: 3600, required: true }, // seconds
+    spawnRange: { type: 'range', min: 0, max: 500, required: true }, // { x, y, z }
+    collisionDistance: { type: 'number', min: 0.1, max: 50, required: true },
+    playerHealth: { type: 'number', min: 1, max: 1000, default: 100 },
+    contactDamage: { type: 'number', min: 0, max: 1000, default: 100 }, // per target contact, scaled by target type
+    color: { type: 'color', required: true },
+    buttonColors: { type: 'colorList', default: null }, // two colours for the selector button gradient
+    spawnPattern: { type: 'enum', values: SPAWN_PATTERNS, default: 'random' },
+    spawn: { type: 'object', of: SPAWN_SCHEMA, default: null }, // settings for spawnPattern, spawn-safety rules
+    targetMix: { type: 'weights', keys: TARGET_TYPE_NAMES, default: null }, // relative weights per target type
+    targetLifetime: { type: 'integer', min: 100, max: 60000, default: null }, // milliseconds before a target vanishes
+    movement: { type: 'object', of: MOVEMENT_SCHEMA, default: null }, // present = WASD, sprint and jump
+    waves: { type: 'list', of: WAVE_SCHEMA, default: null }, // present = wave mode, cleared one after another
+    wavePause: { type: 'number', min: 0, max: 30, default: 3 } // seconds of "Wave N" banner between waves
+};
+
+export class LevelValidationError extends Error {
+    constructor(source, errors) {
+        super(`${source} is not a valid level:\n- ${errors.join('\n- ')}`);
+        this.name = 'LevelValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function describe(value) {
+    return JSON.stringify(value) ?? String(value);
+}
+
+function checkNumber(key, value, rule, errors) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${key} must be a number (got ${describe(value)})`);
+        return false;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${key} must be at least ${rule.min} (got ${value})`);
+        return false;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${key} must be at most ${rule.max} (got ${value})`);
+        return false;
+    }
+    return true;
+}
+
+// Accepts 0xRRGGBB numbers or "#rrggbb" strings; returns the number, or null if invalid
+function parseColor(value) {
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+        return value;
+    }
+    if (typeof value === 'string' && COLOR_PATTERN.test(value)) {
+        return parseInt(value.slice(1), 16);
+    }
+    return null;
+}
+
+const VALIDATORS = {
+    id(key, value, rule, errors) {
+        if (typeof value !== 'string' || !/^[a-z0-9-]+$/.test(value)) {
+            errors.push(`${key} must use only lowercase letters, digits and dashes (got ${describe(value)})`);
+            return undefined;
+        }
+        return value;
+    },
+    string(key, value, rule, errors) {
+        if (typeof value !== 'string') {
+            errors.push(`${key} must be text (got ${describe(value)})`);
+            return undefined;
+        }
+        return value;
+    },
+    integer(key, value, rule, errors) {
+        if (!Number.isInteger(value)) {
+            errors.push(`${key} must be a whole number (got ${describe(value)})`);
+            return undefined;
+        }
+        return checkNumber(key, value, rule, errors) ? value : undefined;
+    },
+    number(key, value, rule, errors) {
+        return checkNumber(key, value, rule, errors) ? value : undefined;
+    },
+    enum(key, value, rule, errors) {
+        if (!rule.values.includes(value)) {
+            errors.push(`${key} must be one of ${rule.values.map(v => `"${v}"`).join(', ')} (got ${describe(value)})`);
+            return undefined;
+        }
+        return value;
+    },
+    color(key, value, rule, errors) {
+        const color = parseColor(value);
+        if (color === null) {
+            errors.push(`${key} must be a colour like "#00ff00" (got ${describe(value)})`);
+            return undefined;
+        }
+        return color;
+    },
+    colorList(key, value, rule, errors) {
+        if (!Array.isArray(value) || value.length !== 2 || value.some(c => parseColor(c) === null)) {
+            errors.push(`${key} must be a list of two colours like ["#00c853", "#64dd17"] (got ${describe(value)})`);
+            return undefined;
+        }
+        // Kept as CSS strings since they only style the selector button
+        return value.map(c => `#${parseColor(c).toString(16).padStart(6, '0')}`);
+    },
+    range(key, value, rule, errors) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${key} must be an object with x, y and z (got ${describe(value)})`);
+            return undefined;
+        }
+        const valid = ['x', 'y', 'z'].every(axis => checkNumber(`${key}.${axis}`, value[axis], rule, errors));
+        return valid ? { x: value.x, y: value.y, z: value.z } : undefined;
+    },
+    weights(key, value, rule, errors) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${key} must be an object of weights like { "basic": 3, "decoy": 1 } (got ${describe(value)})`);
+            return undefined;
+        }
+        const names = Object.keys(value);
+        const unknown = names.filter(name => !rule.keys.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`${key} has unknown entries ${unknown.map(n => `"${n}"`).join(', ')}; use ${rule.keys.map(n => `"${n}"`).join(', ')}`);
+            return undefined;
+        }
+        const valid = names.every(name => checkNumber(`${key}.${name}`, value[name], { min: 0 }, errors));
+        if (valid && !names.some(name => value[name] > 0)) {
+            errors.push(`${key} needs at least one weight above 0`);
+            return undefined;
+        }
+        return valid ? { ...value } : undefined;
+    },
+    object(key, value, rule, errors) {
+        return validateFields(value, rule.of, `${key}.`, errors);
+    },
+    list(key, value, rule, errors) {
+        if (!Array.isArray(value) || value.length === 0) {
+            errors.push(`${key} must be a non-empty list (got ${describe(value)})`);
+            return undefined;
+        }
+        return value.map((item, i) => validateFields(item, rule.of, `${key}[${i}].`, errors));
+    }
+};
+
+// Check data against a schema, pushing "prefix.key ..." messages into errors; returns the normalized object
+function validateFields(data, schema, prefix, errors) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`${prefix.slice(0, -1) || 'value'} must be an object (got ${describe(data)})`);
+        return undefined;
+    }
+
+    const result = {};
+    Object.keys(data)
+        .filter(key => !(key in schema))
+        .forEach(key => errors.push(`unknown property ${prefix}${key}`));
+
+    Object.entries(schema).forEach(([key, rule]) => {
+        if (data[key] === undefined) {
+            if (rule.required) {
+                errors.push(`${prefix}${key} is required`);
+            } else {
+                result[key] = rule.default;
+            }
+            return;
+        }
+        result[key] = VALIDATORS[rule.type](`${prefix}${key}`, data[key], rule, errors);
+    });
+    return result;
+}
+
+// Validate one level definition. Returns a normalized copy or throws LevelValidationError.
+export function validateLevel(data, source = 'Level') {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new LevelValidationError(source, ['a level must be a JSON object']);
+    }
+
+    const label = typeof data.id === 'string' ? `${source} "${data.id}"` : source;
+    const errors = [];
+    const level = validateFields(data, LEVEL_SCHEMA, '', errors);
+    if (level && level.mode === 'reflex' && level.targetLifetime === null) {
+        errors.push('targetLifetime is required in reflex mode');
+    }
+
+    if (errors.length > 0) {
+        throw new LevelValidationError(label, errors);
+    }
+    return level;
+}
+
+// Validate a manifest ({ "levels": [ ... ] }). Level ids must be unique.
+export function validateManifest(data, source = 'Level manifest') {
+    if (data === null || typeof data !== 'object' || !Array.isArray(data.levels) || data.levels.length === 0) {
+        throw new LevelValidationError(source, ['expected an object with a non-empty "levels" list']);
+    }
+
+    const levels = data.levels.map((level, i) => validateLevel(level, `${source} entry ${i + 1}`));
+    const ids = new Set();
+    levels.forEach(level => {
+        if (ids.has(level.id)) {
+            throw new LevelValidationError(source, [`level id "${level.id}" is used more than once`]);
+        }
+        ids.add(level.id);
+    });
+    return levels;
+}
@@ -1,9 +1,16 @@
 /*
 main.js
 This script sets up the entire 3D shooting game: it initializes Three.js, loads models, audio, 
-and textures with a loading manager, configures level difficulty options, handles shooting and 
-collisions, manages countdowns and timers, updates UI through the UIManager, and runs the continuous 
-game loop with target spawning, movement, and player controls.
+and textures through the AssetLoader (with a fallback for each), configures level difficulty
+options, updates UI through the UIManager, and runs the continuous game loop with player controls.
+The game rules (targets, shooting, collisions, countdown, timer and round end) live in the
+GameSimulation (src/core/); this script is a view over it, feeding it the player's input and
+drawing its targets. All gameplay time comes from a single fixed-step GameClock driven by
+animate(). Every gameplay roll comes from one seeded Random, and each round's
+input is recorded tick by tick so it can be saved as a replay and watched again through the same
+simulation with a free camera. Gameplay announces what happens (roundStart, shotFired, targetHit,
+targetSpawned, playerHit, roundEnd) on the EventBus, which the HUD, the audio and plugins subscribe
+to; plugins listed in src/plugins/index.js are set up at startup.
 
 Purpose
 Its purpose is to serve as the core game controller—managing the 3D scene, player interactions, game 
@@ -13,162 +20,189 @@ flow of the shooting game.
 
 
 import * as THREE from 'three';
-import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { Target } from './components/Target.js';
+import { FlyControls } from 'three/examples/jsm/controls/FlyControls.js';
+import { AimControls } from './components/AimControls.js';
+import { InputManager } from './input/InputManager.js';
+import { AimAssist } from './input/AimAssist.js';
+import { PlayerController } from './components/PlayerController.js';
+import { Arena } from './components/Arena.js';
+import { TargetRenderer } from './components/TargetRenderer.js';
+import { WEAPON_PRESETS } from './components/weapons.js';
+import { HitEffects } from './components/HitEffects.js';
 import { UIManager } from './manager.js';
-
-// Import difficulty levels
-import { beginner } from './levels/beginner.js';
-import { intermediate } from './levels/intermediate.js';
-import { professional } from './levels/professional.js';
+import { AssetLoader } from './assets/AssetLoader.js';
+import { ASSET_MANIFEST } from './assets/manifest.js';
+import { createFallbackGun, FALLBACK_SKY_COLOR } from './assets/fallbacks.js';
+import { AudioManager } from './audio/AudioManager.js';
+import { SOUND_CUES, weaponCues } from './audio/cues.js';
+import { GameSimulation } from './core/GameSimulation.js';
+import { GameClock } from './systems/GameClock.js';
+import { GameStateMachine, GameStates } from './systems/GameStateMachine.js';
+import { EventBus } from './systems/EventBus.js';
+import { Leaderboard } from './systems/Leaderboard.js';
+import { Settings } from './systems/Settings.js';
+import { randomSeed, dailySeed } from './systems/Random.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay, toSteps, AIM_UNIT, POSITION_UNIT } from './systems/Replay.js';
+import { validateLevel, validateManifest } from './levels/schema.js';
+import { PluginHost } from './plugins/PluginHost.js';
+import { PLUGINS } from './plugins/index.js';
+
+// Game flow: loading -> menu -> countdown -> playing -> paused -> gameOver
+const stateMachine = new GameStateMachine(GameStates.LOADING);
+
+// Game events (roundStart, shotFired, targetHit, ...) for the HUD, the audio and plugins
+const events = new EventBus();
 
 // Initialize UI Manager FIRST with empty levels
 const uiManager = new UIManager();
+uiManager.bindStateMachine(stateMachine);
+// Hit popups are drawn where the hit point lands on screen
+const screenPoint = new THREE.Vector3();
+uiManager.bindEvents(events, (point) => {
+    screenPoint.copy(point).project(camera);
+    return {
+        x: (screenPoint.x + 1) / 2 * window.innerWidth,
+        y: (1 - screenPoint.y) / 2 * window.innerHeight
+    };
+});
 
-// THEN set up the levels and update UI
-const levels = { beginner, intermediate, professional };
-uiManager.updateLevelInfo(levels); // This updates the UI with real level data
-
-// Game State
-const gameState = {
-    currentLevel: beginner,
-    score: 0,
-    timeLeft: 0,
-    isPlaying: false,
-    isCountdown: false,
-    countdown: 3,
-    levels: levels
-};
+// Player settings (sensitivity, FOV, crosshair, volume) persist in localStorage and apply live
+const settings = new Settings();
+uiManager.bindSettings(settings);
 
-const loadingManager = uiManager.getLoadingManager();
+// THEN set up the levels (filled from public/levels/levels.json once it loads) and update UI
+const levels = {};
+const leaderboard = new Leaderboard();
+
+const PLAYER_NAME_KEY = 'fps-shooter.playerName';
+uiManager.setPlayerName(localStorage.getItem(PLAYER_NAME_KEY) || '');
+
+// The level being played; everything else about the round lives in the GameSimulation
+let currentLevelKey = null; // key into levels (the level id), also used for the leaderboard
 
 // ... rest of your main.js code
 // Three.js Setup
 const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x87ceeb);
+scene.background = new THREE.Color(FALLBACK_SKY_COLOR); // until (or unless) the sky texture loads
 
-const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+const camera = new THREE.PerspectiveCamera(settings.get('fov'), window.innerWidth / window.innerHeight, 0.1, 1000);
 scene.add(camera);
 
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
-// Loaders with Loading Manager - FIXED: loadingManager now exists
-const textureLoader = new THREE.TextureLoader(loadingManager);
-const audioLoader = new THREE.AudioLoader(loadingManager);
-const gltfLoader = new GLTFLoader(loadingManager);
-
-// Background
-textureLoader.load('/textures/envMaps/skyinvasion.jpg',
-    (texture) => {
-        scene.background = texture;
-    },
-    undefined,
-    (err) => {
-        console.error('Background error:', err);
-        scene.background = new THREE.Color(0x87ceeb);
-    }
-);
-
 // Lights
 const light = new THREE.DirectionalLight(0xffffff, 1);
 light.position.set(10, 10, 10);
 scene.add(light);
 scene.add(new THREE.AmbientLight(0xffffff, 0.5));
 
-// Controls
-const controls = new PointerLockControls(camera, renderer.domElement);
+// Controls - the mouse looks around, WASD moves in levels with movement
+const controls = new AimControls(camera, renderer.domElement);
 renderer.domElement.style.cursor = 'pointer';
+// Keyboard, mouse and gamepad all arrive as actions (fire, reload, ...) from the InputManager
+const input = new InputManager();
+uiManager.bindInput(input);
+const aimAssist = new AimAssist(camera);
+const player = new PlayerController(controls, input);
+const arena = new Arena(scene);
+
+// Replays - the round being recorded, or the replay being watched (recorder is null then)
+let recorder = null;
+let replay = null; // ReplayPlayer
+let replayPaused = false;
+let replayPlayerView = false; // watch through the player's eyes instead of the free camera
+
+// The free camera a replay is watched through; drag to look, WASD / R F / Q E to fly
+const viewerCamera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+const flyControls = new FlyControls(viewerCamera, renderer.domElement);
+flyControls.dragToLook = true;
+flyControls.movementSpeed = 15;
+flyControls.rollSpeed = 0.8;
+flyControls.enabled = false;
+const frameClock = new THREE.Clock();
+
+// Shows the free camera where the recorded player was aiming
+const aimArrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, -1), new THREE.Vector3(), 30, 0xff5252, 1.5, 0.6);
+aimArrow.visible = false;
+camera.add(aimArrow);
 
 // Game Variables
 let gun;
-let targets = [];
+// Particle bursts, muzzle flash and gun recoil (all pooled)
+const hitEffects = new HitEffects(scene, camera);
+// Targets are drawn through one InstancedMesh per target type
+const targetRenderer = new TargetRenderer(scene);
+const raycaster = new THREE.Raycaster();
 
-// Audio variables
-let shootSounds = [];
-let currentSoundIndex = 0;
-const MAX_SOUNDS = 5;
+// The rules of the round (targets, shooting, scoring, timer, health) run in the GameSimulation;
+// this file is its view. The player is the camera, and shots hit the exact shapes that are drawn.
+const simulation = new GameSimulation({
+    events,
+    position: camera.position,
+    orientation: camera.quaternion,
+    hitTest: (origin, direction, filter) => {
+        targetRenderer.sync(simulation.targets); // where the targets are now, not where they were drawn
+        raycaster.set(origin, direction);
+        return targetRenderer.raycast(raycaster, filter);
+    }
+}, {
+    onAim: updateAim,
+    onMove: updatePlayer,
+    onCountdown: (seconds) => {
+        audio.play('countdown');
+        uiManager.updateCountdown(seconds);
+    },
+    onPlay: () => {
+        audio.play('go');
+        stateMachine.transition(GameStates.PLAYING);
+    },
+    onTimer: (timeLeft) => uiManager.updateTimer(formatTime(timeLeft)),
+    onAmmo: (weapon, weapons) => uiManager.updateAmmo(weapon, weapons),
+    onComboTimeout: () => uiManager.updateScore(simulation.score, simulation.scoring),
+    onScore: (score) => uiManager.updateScore(score, simulation.scoring),
+    onWaveIntermission: (waveNumber, totalWaves) => uiManager.showWaveBanner(waveNumber, totalWaves),
+    onWaveStart: () => uiManager.hideWaveBanner(),
+    onEnd: endGame
+});
 
-// Create AudioListener
-const listener = new THREE.AudioListener();
-camera.add(listener);
+// Particle effects and gun recoil for shots and hits
+events.on('shotFired', ({ weapon }) => hitEffects.fire(weapon.preset.kick));
+events.on('targetHit', ({ target, point }) => hitEffects.burst(point, target.baseColor));
 
-// Function to initialize audio
-function initAudio() {
-    if (shootSounds.length > 0) return;
-    
-    audioLoader.load('/sounds/glocksound.mp3',
-        (buffer) => {
-            for (let i = 0; i < MAX_SOUNDS; i++) {
-                const sound = new THREE.Audio(listener);
-                sound.setBuffer(buffer);
-                sound.setVolume(0.5);
-                shootSounds.push(sound);
-            }
-        },
-        undefined,
-        (err) => {
-            console.error('Sound load error:', err);
-            createFallbackSound();
-        }
-    );
-}
+// Plugins (src/plugins/index.js) - set up before the levels load, so levels can use their target types
+const plugins = new PluginHost({ events, scoring: simulation.scoring, targetRenderer, uiManager });
+plugins.registerAll(PLUGINS);
 
-// Fallback using Web Audio API
-function createFallbackSound() {
-    const context = new (window.AudioContext || window.webkitAudioContext)();
-    
-    shootSounds = {
-        play: function() {
-            try {
-                const oscillator = context.createOscillator();
-                const gainNode = context.createGain();
-                
-                oscillator.connect(gainNode);
-                gainNode.connect(context.destination);
-                
-                oscillator.frequency.value = 200;
-                oscillator.type = 'square';
-                gainNode.gain.value = 0.1;
-                
-                const now = context.currentTime;
-                oscillator.start(now);
-                oscillator.stop(now + 0.1);
-            } catch (err) {
-                console.error('Fallback sound error:', err);
-            }
-        }
-    };
-}
+// Audio - the AudioManager owns the listener, every sound cue (synthesised when there is no file),
+// the music and the positional hum of the nearest targets
+const audio = new AudioManager(camera, scene);
+audio.register({ ...SOUND_CUES, ...weaponCues(WEAPON_PRESETS) });
+audio.bindEvents(events);
+const NO_TARGETS = [];
 
-// Function to play shoot sound with no cooldown
-function playShootSound() {
-    if (!shootSounds || shootSounds.length === 0) return;
-    
-    try {
-        if (Array.isArray(shootSounds)) {
-            const sound = shootSounds[currentSoundIndex];
-            
-            if (sound.isPlaying) {
-                sound.stop();
-            }
-            
-            sound.play();
-            currentSoundIndex = (currentSoundIndex + 1) % shootSounds.length;
-        } else if (shootSounds.play) {
-            shootSounds.play();
-        }
-    } catch (err) {
-        console.error('Error playing shoot sound:', err);
-    }
+// Apply every setting now and again whenever one changes
+function applySettings() {
+    controls.pointerSpeed = settings.get('sensitivity');
+    controls.invertY = settings.get('invertY');
+    input.deadzone = settings.get('stickDeadzone');
+
+    camera.fov = settings.get('fov');
+    camera.updateProjectionMatrix();
+
+    audio.setVolumes({
+        master: settings.get('masterVolume'),
+        sfx: settings.get('sfxVolume'),
+        music: settings.get('musicVolume')
+    });
 }
+applySettings();
+settings.onChange(applySettings);
 
-// Load Gun
-// CHANGED: Using direct GitHub LFS link to bypass Vercel 100MB limit
-gltfLoader.load('https://media.githubusercontent.com/media/GNR22/gungame/main/public/models/gun.glb',
-    (gltf) => {
+// Gun - the loaded model (centred and scaled to one unit), or the procedural one if it failed
+function setGun(gltf) {
+    if (gltf) {
         gun = gltf.scene;
         const box = new THREE.Box3().setFromObject(gun);
         const center = box.getCenter(new THREE.Vector3());
@@ -182,271 +216,595 @@ gltfLoader.load('https://media.githubusercontent.com/media/GNR22/gungame/main/pu
         camera.add(gun);
         gun.position.set(0.5, -0.5, -1.0);
         gun.rotation.set(0, Math.PI, 0);
-    },
-    undefined,
-    (err) => {
-        console.error('Gun load error:', err);
-        // Fallback box (This will show up if you run out of GitHub bandwidth)
-        const geometry = new THREE.BoxGeometry(0.3, 0.1, 0.5);
-        const material = new THREE.MeshStandardMaterial({ color: 0x666666 });
-        gun = new THREE.Mesh(geometry, material);
+    } else {
+        gun = createFallbackGun();
         camera.add(gun);
         gun.position.set(0.3, -0.2, -0.5);
     }
-);
+    hitEffects.setGun(gun);
+}
+
+// Reset the round for a level and enter the countdown (from the menu, pause menu or game over).
+// The seed is the one typed into the level selector unless given; with replayPlayer the round
+// replays a recording (whose level may not be one of ours) instead of taking the player's input.
+function startRound(levelKey, { level = levels[levelKey], seed = uiManager.getSeed() || randomSeed(), replayPlayer = null } = {}) {
+    currentLevelKey = levelKey;
+    // The player is placed before the targets spawn around them
+    player.configure(level.movement);
+    arena.configure(level.movement);
+
+    replay = replayPlayer;
+    simulation.start(level, {
+        seed,
+        levelKey,
+        weapon: replayPlayer ? replayPlayer.replay.weapon : null,
+        replay: Boolean(replayPlayer)
+    });
+    recorder = replayPlayer ? null : new ReplayRecorder({
+        level,
+        seed,
+        weapon: simulation.weapons.indexOf(simulation.weapon),
+        player: uiManager.getPlayerName()
+    });
+    setReplayView(replayPlayer ? replayPlayer.replay : null);
 
-// Game Functions
-function createTargets(levelConfig) {
-    targets.forEach(target => scene.remove(target.mesh));
-    targets = [];
+    uiManager.updateTimer(formatTime(simulation.timeLeft));
+    uiManager.updateCountdown(simulation.countdown);
+    audio.play('countdown');
+    stateMachine.transition(GameStates.COUNTDOWN, { level });
+}
 
-    for (let i = 0; i < levelConfig.targetCount; i++) {
-        const target = new Target(scene, levelConfig);
-        targets.push(target);
+// End the round; reason is 'timeout', 'hit' (out of health) or 'cleared' (all waves done)
+function endGame(reason) {
+    if (!stateMachine.can(GameStates.GAME_OVER)) return;
+
+    const levelKey = currentLevelKey;
+    const name = uiManager.getPlayerName();
+    const summary = simulation.summary();
+
+    // Watching a replay doesn't put its score on our leaderboard a second time
+    let rank = null;
+    let personalBest = false;
+    if (!replay) {
+        const previousBest = leaderboard.getPersonalBest(levelKey, name);
+        rank = leaderboard.addEntry(levelKey, {
+            name,
+            score: summary.score,
+            accuracy: summary.accuracy
+        });
+        personalBest = !previousBest || summary.score > previousBest.score;
     }
+    if (recorder) recorder.finish({ reason, score: summary.score });
+
+    const results = {
+        ...summary,
+        level: simulation.level.name,
+        rank,
+        personalBest,
+        replay: replay ? replay.replay : null,
+        analytics: simulation.analytics.summary()
+    };
+    events.emit('roundEnd', { reason, score: summary.score, results });
+    stateMachine.transition(GameStates.GAME_OVER, { reason, results });
 }
-// Start timer countdown before game
-function startCountdown(level) {
-    gameState.currentLevel = level;
-    gameState.score = 0;
-    gameState.timeLeft = level.gameTime;
-    gameState.isCountdown = true;
-    gameState.countdown = 5;
-
-    // Use uiManager instead of direct DOM manipulation
-    uiManager.updateScore(0);
-    uiManager.updateTimer(formatTime(gameState.timeLeft));
-    
-    uiManager.hideLevelSelector();
-    uiManager.showCountdown();
-    uiManager.updateCountdown(gameState.countdown);
-
-    createTargets(level);
-
-    const countdownInterval = setInterval(() => {
-        gameState.countdown--;
-        uiManager.updateCountdown(gameState.countdown);
-
-        if (gameState.countdown <= 0) {
-            clearInterval(countdownInterval);
-            uiManager.hideCountdown();
-
-            // START THE GAME ONLY AFTER COUNTDOWN
-            gameState.isPlaying = true;
-            uiManager.showCrosshair();
-        }
-    }, 1000);
+
+function formatTime(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    const mins = Math.floor(total / 60);
+    const secs = total % 60;
+    return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
 }
 
-function startGame() {
-    gameState.isPlaying = true;
-    gameState.isCountdown = false;
-    uiManager.showCrosshair();
-    
-    /*
-    setTimeout(() => {
+// State hooks - game-side effects of each transition (the UIManager handles its own in bindStateMachine)
+stateMachine.onEnter(GameStates.MENU, () => {
+    simulation.clear();
+    replay = null;
+    recorder = null;
+    setReplayView(null);
+});
+
+// Freeze the round (countdown, timer and targets) where it is while the pause menu is open
+stateMachine.onEnter(GameStates.PAUSED, () => {
+    gameClock.pause();
+    audio.setHeldDuck(0.6); // the music carries on, quietly
+});
+
+stateMachine.onExit(GameStates.PAUSED, () => {
+    gameClock.resume();
+    audio.setHeldDuck(0);
+});
+
+// The UIManager shows the results panel; we only need the mouse back for its buttons
+stateMachine.onEnter(GameStates.GAME_OVER, () => {
+    controls.unlock();
+});
+
+// Levels - register a validated level and wire up its generated selector button
+function addLevel(level) {
+    levels[level.id] = level;
+
+    const button = uiManager.addLevelButton(level);
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        startRound(level.id);
+        if (!controls.isLocked) controls.lock(); // Direct user gesture, allowed
+    });
+    button.addEventListener('mouseenter', () => {
+        uiManager.showLevelInfo(level.id);
+    });
+
+    uiManager.updateLevelInfo(levels, leaderboard); // This updates the UI with real level data
+}
+
+// Assets - every file in src/assets/manifest.js, each with its fallback when it cannot be loaded
+const assets = new AssetLoader(uiManager.getLoadingManager());
+const applyAsset = {
+    levels: (data) => {
+        if (!data) {
+            uiManager.showLevelError(`Could not load ${ASSET_MANIFEST.levels.urls[0]}`);
+            return;
+        }
         try {
-            controls.lock();
+            validateManifest(data).forEach(addLevel);
         } catch (err) {
-            console.log('Pointer lock after countdown failed: ', err);
+            console.error('Level manifest error:', err);
+            uiManager.showLevelError(err.message);
         }
-    }, 100);*/
-}
+    },
+    sky: (texture) => {
+        if (texture) scene.background = texture;
+    },
+    gun: setGun,
+    gunshot: (buffer) => audio.setAsset('gunshot', buffer)
+};
 
-function endGame() {
-    gameState.isPlaying = false;
-    controls.unlock();
-    uiManager.hideCrosshair();
-    
-    setTimeout(() => {
-        alert(`Game Over!\nTime's up!\nFinal Score: ${gameState.score}\nLevel: ${gameState.currentLevel.name}`);
-        uiManager.showLevelSelector();
-    }, 500);
+function leaveLoadingScreen() {
+    if (stateMachine.is(GameStates.LOADING)) stateMachine.transition(GameStates.MENU);
 }
 
-function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
-}
+// The loading screen offers to carry on without whatever is still loading
+uiManager.onContinueLoading(() => {
+    assets.skip();
+    leaveLoadingScreen();
+});
 
-function updateTimer() {
-    if (!gameState.isPlaying) return;
+assets.loadAll(ASSET_MANIFEST, (name, value) => applyAsset[name](value)).then((degraded) => {
+    if (degraded.length === 0) {
+        console.log('All assets loaded successfully!');
+        leaveLoadingScreen();
+    } else {
+        // Say what is missing and let the player decide when to go on
+        uiManager.showDegradedAssets(degraded);
+    }
+});
+
+// Custom level files (training drills) picked or dropped onto the level selector at runtime
+async function loadCustomLevel(file) {
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (err) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
 
-    gameState.timeLeft -= 1;
-    uiManager.updateTimer(formatTime(gameState.timeLeft));
+        const level = validateLevel(data, file.name);
+        // Never let a custom file overwrite one of the manifest levels (or its leaderboard)
+        if (levels[level.id] && !levels[level.id].custom) {
+            level.id = `custom-${level.id}`;
+        }
+        level.custom = true;
 
-    if (gameState.timeLeft <= 0) {
-        endGame();
+        addLevel(level);
+        uiManager.selectMode(level.mode);
+        uiManager.showLevelInfo(level.id);
+        uiManager.showLeaderboardStatus(`Loaded custom level "${level.name}" from ${file.name}`);
+    } catch (err) {
+        console.error('Custom level error:', err);
+        uiManager.showLevelError(err.message);
     }
 }
 
+document.getElementById('custom-level-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('custom-level-input').click();
+});
 
+document.getElementById('custom-level-input').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (file) loadCustomLevel(file);
+});
 
-// Event Listeners - FIXED: Use uiManager to get elements
-document.getElementById('beginner-btn').addEventListener('click', (e) => {
+const levelSelector = uiManager.getElement('levelSelector');
+levelSelector.addEventListener('dragover', (e) => {
     e.preventDefault();
-    startCountdown(beginner);
-    //controls.lock(); // Direct user gesture, allowed
+});
 
-     if (!controls.isLocked) controls.lock();
+levelSelector.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) loadCustomLevel(file);
 });
 
-document.getElementById('intermediate-btn').addEventListener('click', (e) => {
+// Pause menu buttons
+document.getElementById('resume-btn').addEventListener('click', (e) => {
     e.preventDefault();
-    startCountdown(intermediate);
-    // controls.lock();
-     if (!controls.isLocked) controls.lock();
+    // The game resumes from the 'lock' listener once the browser grants pointer lock
+    controls.lock();
 });
 
-document.getElementById('professional-btn').addEventListener('click', (e) => {
+document.getElementById('restart-btn').addEventListener('click', (e) => {
     e.preventDefault();
-    startCountdown(professional);
-    // controls.lock();
-     if (!controls.isLocked) controls.lock();
+    startRound(currentLevelKey);
+    if (!controls.isLocked) controls.lock();
 });
 
-// Pointer lock debug listeners
-// Pointer lock debug & behavior (don't start game here)
-controls.addEventListener('lock', () => {
-    console.log('Pointer locked — mouse controls enabled, waiting for countdown to finish.');
-    // Do NOT set gameState.isPlaying here — countdown will handle starting the game.
+document.getElementById('quit-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    stateMachine.transition(GameStates.MENU);
 });
 
-controls.addEventListener('unlock', () => {
-    console.log('Pointer unlocked.');
-    // If unlocked during play, pause/stop the game:
-    if (gameState.isPlaying) {
-        gameState.isPlaying = false;
-        uiManager.hideCrosshair();
-        uiManager.showLevelSelector();
+// Results screen buttons
+document.getElementById('retry-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (replay) {
+        watchReplay(replay.replay);
+        return;
     }
+    startRound(currentLevelKey);
+    if (!controls.isLocked) controls.lock();
 });
 
-document.addEventListener('pointerlockerror', (e) => {
-    console.error('Pointer Lock Error!', e);
+document.getElementById('analytics-export-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    const date = new Date().toISOString().slice(0, 10);
+    uiManager.downloadFile(`fps-shooter-analytics-${currentLevelKey}-${date}.csv`, simulation.analytics.toCSV(), 'text/csv');
 });
 
-/*
+document.getElementById('save-replay-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (!recorder) return;
+    const { level, seed } = recorder.data;
+    uiManager.downloadFile(`fps-shooter-replay-${level.id}-${seed}.json`, recorder.toJSON());
+});
+
+document.getElementById('menu-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    stateMachine.transition(GameStates.MENU);
+});
+
+// Pointer lock behavior (don't start game here - the countdown does that)
 controls.addEventListener('lock', () => {
-    console.log('Pointer locked, mouse controls enabled.');
+    console.log('Pointer locked — mouse controls enabled.');
+    // Back to whichever state (countdown or playing) we paused from
+    if (stateMachine.is(GameStates.PAUSED)) {
+        stateMachine.transition(stateMachine.previous);
+    }
 });
 
 controls.addEventListener('unlock', () => {
     console.log('Pointer unlocked.');
+    releaseTrigger(); // the mouseup may never reach us while unlocked
+    input.releaseAll(); // neither may the keyups
+    // If unlocked during the countdown or play (Esc, alt-tab), pause the round instead of ending it
+    if (stateMachine.is(GameStates.COUNTDOWN, GameStates.PLAYING)) {
+        stateMachine.transition(GameStates.PAUSED);
+    }
 });
 
 document.addEventListener('pointerlockerror', (e) => {
     console.error('Pointer Lock Error!', e);
 });
-*/
 
 
+// Leaderboard: player name, export and import
+document.getElementById('player-name-input').addEventListener('change', () => {
+    localStorage.setItem(PLAYER_NAME_KEY, uiManager.getPlayerName());
+    uiManager.showLevelInfo(uiManager.shownLevelKey); // personal best depends on the name
+});
 
+document.getElementById('export-scores-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    const date = new Date().toISOString().slice(0, 10);
+    uiManager.downloadFile(`fps-shooter-scores-${date}.json`, leaderboard.exportJSON());
+});
 
-// Level info hover
-document.querySelectorAll('.level-btn').forEach(btn => {
-    btn.addEventListener('mouseenter', (e) => {
-        const level = e.target.classList[1];
-        const levelConfig = gameState.levels[level];
-        const levelInfo = document.getElementById('level-info');
-        levelInfo.innerHTML = `
-            <h3>${levelConfig.name}</h3>
-            <p>${levelConfig.description}</p>
-            <p>Targets: ${levelConfig.targetCount} | Time: ${levelConfig.gameTime}s | Size: ${levelConfig.targetSize}</p>
-            <p>Speed: ${(levelConfig.targetSpeed * 100).toFixed(1)}</p>
-        `;
-    });
+document.getElementById('import-scores-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('import-scores-input').click();
 });
 
-// Shooting Event Listener
-window.addEventListener('click', () => {
-    if (!gameState.isPlaying || !controls.isLocked) return;
-    
-    // Play sound immediately without delay
-    playShootSound();
-
-    raycaster.setFromCamera({ x: 0, y: 0 }, camera);
-    const intersects = raycaster.intersectObjects(targets.map(t => t.mesh));
-    
-    if (intersects.length > 0) {
-        const hitTarget = intersects[0].object;
-        hitTarget.material.color.set(0xffffff);
-        gameState.score += 1;
-        uiManager.updateScore(gameState.score); // Use uiManager
-
-        setTimeout(() => {
-            hitTarget.material.color.set(gameState.currentLevel.color);
-            const target = targets.find(t => t.mesh === hitTarget);
-            if (target) target.respawn(gameState.currentLevel);
-        }, 200);
+document.getElementById('import-scores-input').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+
+    try {
+        const imported = leaderboard.importJSON(await file.text());
+        uiManager.showLeaderboardStatus(`Imported ${imported} score${imported === 1 ? '' : 's'} from ${file.name}`);
+        uiManager.showLevelInfo(uiManager.shownLevelKey);
+    } catch (err) {
+        console.error('Score import error:', err);
+        uiManager.showLeaderboardStatus(err.message, true);
     }
 });
 
-// Initialize audio on first user interaction
-document.addEventListener('click', function initOnClick() {
-    initAudio();
-    document.removeEventListener('click', initOnClick);
-}, { once: true });
+// Seeds - the daily seed button fills in today's seed, which is the same for everyone
+document.getElementById('daily-seed-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    uiManager.setSeed(dailySeed());
+});
 
-// Resize
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// Replays - load a saved round and play it back
+function watchReplay(data) {
+    startRound(data.level.id, { level: data.level, seed: data.seed, replayPlayer: new ReplayPlayer(data) });
+}
+
+document.getElementById('watch-replay-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('replay-input').click();
 });
 
-// Raycaster
-const raycaster = new THREE.Raycaster();
+document.getElementById('replay-input').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
 
-// Game Loop
-const timerInterval = setInterval(updateTimer, 1000);
+    try {
+        watchReplay(parseReplay(await file.text()));
+    } catch (err) {
+        console.error('Replay load error:', err);
+        uiManager.showLeaderboardStatus(err.message, true);
+    }
+});
 
-function animate() {
-    requestAnimationFrame(animate);
+// Show (data = the replay) or hide the replay viewer
+function setReplayView(data) {
+    setReplayPaused(false);
+    replayPlayerView = false;
+    flyControls.enabled = data !== null;
+    aimArrow.visible = data !== null;
+
+    if (data) {
+        // Start behind and above the player, looking the way they face at the start
+        viewerCamera.position.set(0, 4, 10);
+        viewerCamera.lookAt(0, 0, -20);
+        uiManager.showReplayBar({ player: data.player, level: data.level.name, seed: data.seed });
+    } else {
+        uiManager.hideReplayBar();
+    }
+}
 
-    if (gameState.isPlaying) {
-        targets.forEach(target => {
-            target.update(camera.position, gameState.currentLevel);
+function setReplayPaused(paused) {
+    replayPaused = paused;
+    if (paused) {
+        gameClock.pause();
+    } else {
+        gameClock.resume();
+    }
+    uiManager.updateReplayBar(replayPaused, replayPlayerView);
+}
 
-               // Check for collision
-            if (target.checkCollision(camera.position)) {
-                handleCollision(target);
-                return; // Stop processing further targets once collision is detected
-            }
-        });
+document.getElementById('replay-pause-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (replay) setReplayPaused(!replayPaused);
+});
+
+document.getElementById('replay-view-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    replayPlayerView = !replayPlayerView;
+    aimArrow.visible = !replayPlayerView;
+    uiManager.updateReplayBar(replayPaused, replayPlayerView);
+});
+
+document.getElementById('replay-stop-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    stateMachine.transition(GameStates.MENU);
+});
+
+// Snap the camera's aim to whole replay units and return them; the snapped aim is what the
+// simulation uses, so a replay that restores it reproduces every shot exactly
+function snapAim() {
+    const { yaw, pitch } = controls.getAim();
+    const steps = [toSteps(yaw, AIM_UNIT), toSteps(pitch, AIM_UNIT)];
+    controls.setAim(steps[0] * AIM_UNIT, steps[1] * AIM_UNIT);
+    return steps;
+}
+
+function snapPosition() {
+    const steps = camera.position.toArray().map(value => toSteps(value, POSITION_UNIT));
+    camera.position.fromArray(steps.map(value => value * POSITION_UNIT));
+    return steps;
+}
+
+// Record an input that changes the simulation; it is replayed after the same number of ticks
+function recordEvent(type, ...args) {
+    if (recorder) recorder.event(simulation.tick, type, ...args);
+}
+
+// Aim at the start of a tick: recorded while playing, restored while watching a replay
+function updateAim(delta) {
+    if (replay) {
+        const [yaw, pitch] = replay.aimAt(simulation.tick);
+        controls.setAim(yaw * AIM_UNIT, pitch * AIM_UNIT);
+        return;
     }
 
-    renderer.render(scene, camera);
+    updateStickAim(delta);
+    const [yaw, pitch] = snapAim();
+    if (recorder) recorder.aim(simulation.tick, yaw, pitch);
 }
 
-function handleCollision(target) {
-    console.log("🎯 COLLISION DETECTED! Game Over!");
-    
-    // Immediately end the game
-    gameState.isPlaying = false;
-    controls.unlock();
-    uiManager.hideCrosshair();
-    
-    // Show game over message
-    setTimeout(() => {
-        alert(`Game Over!\nYou were hit by a target!\nFinal Score: ${gameState.score}\nLevel: ${gameState.currentLevel.name}`);
-        uiManager.showLevelSelector();
-    }, 500);
-    
-    // Visual feedback - make the hitting target red
-    target.mesh.material.color.set(0xff0000);
+// Player movement of a tick, likewise
+function updatePlayer(delta) {
+    if (replay) {
+        const [x, y, z] = replay.positionAt(simulation.tick);
+        camera.position.set(x * POSITION_UNIT, y * POSITION_UNIT, z * POSITION_UNIT);
+        return;
+    }
+
+    player.update(delta);
+    if (player.enabled && recorder) recorder.move(simulation.tick, ...snapPosition());
 }
 
-animate();
+// Apply the replay's inputs that came between the last tick and the next one
+function playReplayEvents() {
+    replay.eventsAt(simulation.tick).forEach(([type, ...args]) => {
+        if (type === 'fire') {
+            controls.setAim(args[0] * AIM_UNIT, args[1] * AIM_UNIT);
+            pullTrigger();
+        } else if (type === 'release') {
+            releaseTrigger();
+        } else if (type === 'reload') {
+            reloadWeapon();
+        } else if (type === 'weapon') {
+            switchWeapon(args[0]);
+        }
+    });
+}
+
+// Weapons - number keys switch, R reloads, an empty magazine reloads by itself. Every input that
+// changes the simulation is recorded for the replay.
+uiManager.updateAmmo(simulation.weapon, simulation.weapons);
+
+function switchWeapon(index) {
+    if (simulation.switchWeapon(index)) recordEvent('weapon', index);
+}
+
+// Semi-automatic guns fire once per pull, automatic ones keep firing from the simulation while held
+function pullTrigger() {
+    if (recorder) recordEvent('fire', ...snapAim());
+    simulation.pullTrigger();
+}
+
+function releaseTrigger() {
+    if (simulation.releaseTrigger()) recordEvent('release');
+}
+
+function reloadWeapon() {
+    recordEvent('reload');
+    simulation.reload();
+}
 
-// Control events
-/*controls.addEventListener('lock', () => {
-    gameState.isPlaying = true;
+// Actions - semi-automatic guns fire on press, automatic ones keep firing while the action is held
+input.on('press', (action, event) => {
+    // A replay plays its own inputs; the pause action still pauses it
+    if (replay) {
+        if (action === 'pause') setReplayPaused(!replayPaused);
+        return;
+    }
+
+    if (stateMachine.is(GameStates.MENU)) {
+        // Level hotkeys start the nth level of the mode shown in the selector
+        const match = /^level(\d)$/.exec(action);
+        const levelKey = match && uiManager.selectedModeLevels()[Number(match[1]) - 1];
+        if (levelKey) {
+            startRound(levelKey);
+            if (!controls.isLocked) controls.lock(); // a key press is a user gesture, so this is allowed
+        }
+        return;
+    }
+
+    if (action === 'restart' && stateMachine.is(GameStates.COUNTDOWN, GameStates.PLAYING, GameStates.PAUSED, GameStates.GAME_OVER)) {
+        startRound(currentLevelKey);
+        if (!controls.isLocked) controls.lock();
+        return;
+    }
+
+    if (!stateMachine.is(GameStates.COUNTDOWN, GameStates.PLAYING) || !controls.isLocked) return;
+
+    if (action === 'jump' && event) event.preventDefault(); // don't scroll the page
+
+    if (action === 'fire' && stateMachine.is(GameStates.PLAYING)) {
+        pullTrigger();
+    } else if (action === 'reload') {
+        reloadWeapon();
+    } else if (action === 'pause') {
+        controls.unlock(); // the unlock listener pauses the round
+    } else if (action === 'nextWeapon' || action === 'previousWeapon') {
+        const { weapons, weapon } = simulation;
+        const step = action === 'nextWeapon' ? 1 : weapons.length - 1;
+        switchWeapon((weapons.indexOf(weapon) + step) % weapons.length);
+    } else if (/^weapon\d$/.test(action)) {
+        switchWeapon(Number(action.slice(6)) - 1);
+    }
 });
-*/
-controls.addEventListener('unlock', () => {
-    if (gameState.isPlaying) {
-        gameState.isPlaying = false;
+
+input.on('release', (action) => {
+    if (action === 'fire' && !replay) releaseTrigger();
+});
+
+// Right-stick aim (with aim assist) while the pointer is locked, in degrees per second at full tilt
+function updateStickAim(delta) {
+    const { x, y } = input.rightStick;
+    if (!controls.isLocked || (x === 0 && y === 0)) return;
+
+    const speed = THREE.MathUtils.degToRad(settings.get('stickSpeed')) * delta;
+    const look = aimAssist.apply(
+        { yaw: -x * speed, pitch: -y * speed * (settings.get('invertY') ? -1 : 1) },
+        simulation.targets,
+        settings.get('aimAssist'),
+        settings.get('aimAssistStrength'),
+        delta
+    );
+    controls.rotate(look.yaw, look.pitch);
+}
+
+// Initialize audio (and start the music) on the first user interaction
+function initAudio() {
+    audio.start();
+    audio.playMusic();
+}
+document.addEventListener('click', initAudio, { once: true });
+document.addEventListener('keydown', initAudio, { once: true });
+
+// Resize
+window.addEventListener('resize', () => {
+    [camera, viewerCamera].forEach(cam => {
+        cam.aspect = window.innerWidth / window.innerHeight;
+        cam.updateProjectionMatrix();
+    });
+    renderer.setSize(window.innerWidth, window.innerHeight);
+});
+
+// Game Clock - one fixed-step simulation drives targets, countdown and timer
+const gameClock = new GameClock();
+gameClock.onStep(simulate);
+
+// Hit-stop: the game holds still for a moment on every kill, so it lands with some weight
+const HIT_STOP = 0.05; // seconds
+events.on('targetHit', ({ destroyed }) => {
+    if (destroyed) gameClock.freeze(HIT_STOP);
+});
+
+function simulate(delta) {
+    hitEffects.update(delta);
+    if (!stateMachine.is(GameStates.COUNTDOWN, GameStates.PLAYING)) return;
+
+    // A replay's inputs between the last step and this one go in first, as they did when recorded
+    if (replay) playReplayEvents();
+    simulation.update(delta);
+}
+
+// Game Loop
+function animate(now) {
+    requestAnimationFrame(animate);
+
+    input.update(); // gamepads are polled, not event-driven
+    gameClock.update(now);
+    targetRenderer.sync(simulation.targets);
+    // Only targets in a running round hum
+    audio.updateEmitters(stateMachine.is(GameStates.PLAYING) && !replayPaused ? simulation.targets : NO_TARGETS);
+
+    // A replay is watched through the free camera unless the player's view is picked
+    const frameTime = frameClock.getDelta();
+    if (replay && !replayPlayerView) {
+        flyControls.update(frameTime);
+        renderer.render(scene, viewerCamera);
+    } else {
+        renderer.render(scene, camera);
     }
-});
\ No newline at end of file
+}
+
+requestAnimationFrame(animate);
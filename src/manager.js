@@ -1,7 +1,16 @@
 /* manager.js
 The UIManager class builds and updates all the game’s user-interface elements—level selection, timer, 
-score, countdown, crosshair, and a loading screen—and connects them to Three.js’s LoadingManager to 
-show real-time loading progress.
+score, health bar, ammo counter, damage vignette, hit marker, floating score popups, countdown, crosshair, pause menu, results screen, settings panel, and a loading screen—and connects them to Three.js’s LoadingManager to 
+show real-time loading progress. Which elements are visible is driven by the GameStateMachine: 
+bindStateMachine() subscribes to its enter/exit events so the UI follows every game-flow transition. 
+bindSettings() builds the settings panel from the Settings fields and redraws the crosshair when they change.
+bindEvents() subscribes the HUD (score, hit markers, score popups, health) to the game's EventBus.
+The level selector offers a mode first (src/core/modes.js) and then that mode's levels; a scenario
+mode's results screen shows the rows of its own results.
+While a replay plays, a bar at the top says whose run it is and offers pause, camera and stop buttons.
+The analytics panel, opened from the results screen, draws the round's aim scatter and time-to-kill
+histogram on a canvas. The loading screen lists any asset that fell back and offers to continue
+without whatever is still loading, so it can never get stuck.
 
 Purpose:
 Its purpose is to centralize and manage every visual UI component of the game so the gameplay code 
@@ -10,6 +19,28 @@ stays clean while the UI updates automatically and consistently.
 
 
 import * as THREE from 'three';
+import { GameStates } from './systems/GameStateMachine.js';
+import { SETTING_FIELDS, sensitivityForCm } from './systems/Settings.js';
+import { ACTIONS, describeBinding } from './input/bindings.js';
+import { GAME_MODES } from './core/modes.js';
+
+const SCORE_POPUP_POOL_SIZE = 10;
+
+// Analytics charts: the scatter shows targets up to SCATTER_RANGE degrees from the crosshair (further
+// ones sit on the edge), the histogram has HISTOGRAM_BINS bins of HISTOGRAM_BIN seconds (the last
+// one also counts everything slower)
+const SCATTER_RANGE = 10;
+const HISTOGRAM_BIN = 0.25;
+const HISTOGRAM_BINS = 12;
+// Seconds before the loading screen offers to go on without the assets still loading
+const CONTINUE_DELAY = 8;
+
+// Player names and imported score files end up in innerHTML, so escape them first
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
 
 export class UIManager {
     constructor() {
@@ -17,6 +48,9 @@ export class UIManager {
         this.crosshair = document.getElementById('crosshair');
         this.elements = {};
         this.levels = {}; // Initialize empty levels
+        this.leaderboard = null;
+        this.shownLevelKey = null;
+        this.selectedMode = 'survival'; // the level selector shows this mode's levels
         this.createUI();
         this.setupLoadingManager();
     }
@@ -34,18 +68,36 @@ export class UIManager {
         this.elements.levelSelector = document.createElement('div');
         this.elements.levelSelector.id = 'level-selector';
         this.elements.levelSelector.innerHTML = `
-            <div class="level-buttons">
-                <button id="beginner-btn" class="level-btn beginner">🟢 BEGINNER</button>
-                <button id="intermediate-btn" class="level-btn intermediate">🟠 INTERMEDIATE</button>
-                <button id="professional-btn" class="level-btn professional">🔴 PROFESSIONAL</button>
-            </div>
+            <div class="mode-buttons" id="mode-buttons"></div>
+            <div class="level-buttons" id="level-buttons"></div>
             <div class="level-info" id="level-info">
                 <h3>${defaultLevel.name}</h3>
                 <p>${defaultLevel.description}</p>
                 <p>Targets: ${defaultLevel.targetCount} | Time: ${defaultLevel.gameTime}s | Size: ${defaultLevel.targetSize}</p>
             </div>
+            <div class="player-name">
+                <label for="player-name-input">Player</label>
+                <input id="player-name-input" type="text" maxlength="16" placeholder="Your name">
+            </div>
+            <div class="player-name">
+                <label for="seed-input">Seed</label>
+                <input id="seed-input" type="text" maxlength="32" placeholder="Random">
+                <button id="daily-seed-btn" class="tool-btn">📅 Daily seed</button>
+            </div>
+            <div class="leaderboard-tools">
+                <button id="export-scores-btn" class="tool-btn">⤓ Export scores</button>
+                <button id="import-scores-btn" class="tool-btn">⤒ Import scores</button>
+                <input id="import-scores-input" type="file" accept=".json,application/json" style="display: none">
+                <button id="custom-level-btn" class="tool-btn">📂 Custom level</button>
+                <input id="custom-level-input" type="file" accept=".json,application/json" style="display: none">
+                <button id="watch-replay-btn" class="tool-btn">▶ Watch replay</button>
+                <input id="replay-input" type="file" accept=".json,application/json" style="display: none">
+                <button id="settings-btn" class="tool-btn">⚙ Settings</button>
+            </div>
+            <div class="leaderboard-status" id="leaderboard-status"></div>
         `;
         document.body.appendChild(this.elements.levelSelector);
+        this.createModeButtons();
 
         // Timer
         this.elements.timerDiv = document.createElement('div');
@@ -53,27 +105,346 @@ export class UIManager {
         this.elements.timerDiv.textContent = 'Time: 0:00';
         document.body.appendChild(this.elements.timerDiv);
 
+        // Health Bar
+        this.elements.healthBar = document.createElement('div');
+        this.elements.healthBar.id = 'health-bar';
+        this.elements.healthBar.innerHTML = `
+            <div class="health-fill" id="health-fill"></div>
+            <div class="health-text" id="health-text">100 HP</div>
+        `;
+        document.body.appendChild(this.elements.healthBar);
+
+        // Ammo Counter
+        this.elements.ammoDiv = document.createElement('div');
+        this.elements.ammoDiv.id = 'ammo';
+        document.body.appendChild(this.elements.ammoDiv);
+
+        // Plugin HUD widgets (see addHudWidget)
+        this.elements.hudWidgets = document.createElement('div');
+        this.elements.hudWidgets.id = 'hud-widgets';
+        document.body.appendChild(this.elements.hudWidgets);
+
+        // Hit Marker (an X over the crosshair)
+        this.elements.hitMarker = document.createElement('div');
+        this.elements.hitMarker.id = 'hit-marker';
+        document.body.appendChild(this.elements.hitMarker);
+
+        // Floating score popups, reused round-robin
+        this.scorePopups = [];
+        this.nextScorePopup = 0;
+        for (let i = 0; i < SCORE_POPUP_POOL_SIZE; i++) {
+            const popup = document.createElement('div');
+            popup.className = 'score-popup';
+            document.body.appendChild(popup);
+            this.scorePopups.push(popup);
+        }
+
+        // Damage Vignette
+        this.elements.damageVignette = document.createElement('div');
+        this.elements.damageVignette.id = 'damage-vignette';
+        document.body.appendChild(this.elements.damageVignette);
+
         // Countdown
         this.elements.countdownDiv = document.createElement('div');
         this.elements.countdownDiv.id = 'countdown';
         this.elements.countdownDiv.style.display = 'none';
         document.body.appendChild(this.elements.countdownDiv);
 
+        // Wave Banner (wave mode, between waves)
+        this.elements.waveBanner = document.createElement('div');
+        this.elements.waveBanner.id = 'wave-banner';
+        this.elements.waveBanner.style.display = 'none';
+        document.body.appendChild(this.elements.waveBanner);
+
+        // Replay Bar (while watching a replay)
+        this.elements.replayBar = document.createElement('div');
+        this.elements.replayBar.id = 'replay-bar';
+        this.elements.replayBar.style.display = 'none';
+        this.elements.replayBar.innerHTML = `
+            <span id="replay-info"></span>
+            <button id="replay-pause-btn" class="tool-btn">⏸ Pause</button>
+            <button id="replay-view-btn" class="tool-btn">👁 Player view</button>
+            <button id="replay-stop-btn" class="tool-btn">✖ Stop</button>
+        `;
+        document.body.appendChild(this.elements.replayBar);
+
+        // Pause Menu
+        this.elements.pauseMenu = document.createElement('div');
+        this.elements.pauseMenu.id = 'pause-menu';
+        this.elements.pauseMenu.style.display = 'none';
+        this.elements.pauseMenu.innerHTML = `
+            <div class="pause-content">
+                <h2>PAUSED</h2>
+                <button id="resume-btn" class="pause-btn">▶ RESUME</button>
+                <button id="restart-btn" class="pause-btn">↻ RESTART LEVEL</button>
+                <button id="pause-settings-btn" class="pause-btn">⚙ SETTINGS</button>
+                <button id="quit-btn" class="pause-btn">✖ QUIT TO MENU</button>
+            </div>
+        `;
+        document.body.appendChild(this.elements.pauseMenu);
+
+        // Results Screen
+        this.elements.resultsScreen = document.createElement('div');
+        this.elements.resultsScreen.id = 'results-screen';
+        this.elements.resultsScreen.style.display = 'none';
+        this.elements.resultsScreen.innerHTML = `
+            <div class="results-content">
+                <h2>GAME OVER</h2>
+                <p class="results-cause" id="results-cause"></p>
+                <div class="results-stats" id="results-stats"></div>
+                <p class="results-best" id="results-best"></p>
+                <div class="results-buttons">
+                    <button id="retry-btn" class="pause-btn">↻ RETRY</button>
+                    <button id="analytics-btn" class="pause-btn">📊 ANALYTICS</button>
+                    <button id="save-replay-btn" class="pause-btn">⤓ SAVE REPLAY</button>
+                    <button id="menu-btn" class="pause-btn">☰ MENU</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.elements.resultsScreen);
+
+        // Settings Panel (the fields are added by bindSettings)
+        this.elements.settingsPanel = document.createElement('div');
+        this.elements.settingsPanel.id = 'settings-panel';
+        this.elements.settingsPanel.style.display = 'none';
+        this.elements.settingsPanel.innerHTML = `
+            <div class="settings-content">
+                <h2>SETTINGS</h2>
+                <div class="settings-fields" id="settings-fields"></div>
+                <div class="settings-row">
+                    <label for="setting-cm360">cm/360</label>
+                    <input id="setting-cm360" type="number" min="1" max="1000" step="0.1">
+                </div>
+                <h3>CONTROLS</h3>
+                <p class="settings-gamepad" id="settings-gamepad">No controller connected</p>
+                <table class="bindings-table"><tbody id="settings-bindings"></tbody></table>
+                <div class="settings-buttons">
+                    <button id="bindings-reset-btn" class="pause-btn">↺ DEFAULT CONTROLS</button>
+                    <button id="settings-reset-btn" class="pause-btn">↺ DEFAULTS</button>
+                    <button id="settings-close-btn" class="pause-btn">✔ DONE</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.elements.settingsPanel);
+
+        // Analytics Panel (filled in by showAnalytics)
+        this.elements.analyticsPanel = document.createElement('div');
+        this.elements.analyticsPanel.id = 'analytics-panel';
+        this.elements.analyticsPanel.style.display = 'none';
+        this.elements.analyticsPanel.innerHTML = `
+            <div class="settings-content">
+                <h2>AIM ANALYTICS</h2>
+                <div class="analytics-summary" id="analytics-summary"></div>
+                <canvas id="analytics-canvas" width="720" height="320"></canvas>
+                <div class="settings-buttons">
+                    <button id="analytics-export-btn" class="pause-btn">⤓ EXPORT CSV</button>
+                    <button id="analytics-close-btn" class="pause-btn">✔ DONE</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.elements.analyticsPanel);
+        document.getElementById('analytics-btn').addEventListener('click', () => this.showAnalytics());
+        document.getElementById('analytics-close-btn').addEventListener('click', () => this.hideAnalytics());
+
+        // Crosshair parts; applyCrosshair() picks which ones show and how they look
+        if (this.crosshair) {
+            this.crosshair.innerHTML = `
+                <span class="ch-line ch-top"></span>
+                <span class="ch-line ch-bottom"></span>
+                <span class="ch-line ch-left"></span>
+                <span class="ch-line ch-right"></span>
+                <span class="ch-dot"></span>
+                <span class="ch-circle"></span>
+            `;
+        }
+
         // Loading Screen
         this.createLoadingScreen();
     }
 
     // Add this method to update level info after levels are loaded
-    updateLevelInfo(levels) {
+    updateLevelInfo(levels, leaderboard) {
         this.levels = levels;
+        this.leaderboard = leaderboard;
+        this.showLevelInfo(this.shownLevelKey || Object.keys(levels)[0]);
+    }
+
+    // The level selector asks for a mode first; its buttons then show that mode's difficulties
+    createModeButtons() {
+        const container = document.getElementById('mode-buttons');
+        Object.entries(GAME_MODES).forEach(([id, mode]) => {
+            const button = document.createElement('button');
+            button.className = 'mode-btn';
+            button.dataset.mode = id;
+            button.classList.toggle('active', id === this.selectedMode);
+            button.textContent = `${mode.icon} ${mode.name}`;
+            button.title = mode.description;
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.selectMode(id);
+            });
+            container.appendChild(button);
+        });
+    }
+
+    // Show the level buttons of one mode and the info of its first level
+    selectMode(modeId) {
+        this.selectedMode = modeId;
+        document.querySelectorAll('.mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === modeId);
+        });
+        document.querySelectorAll('#level-buttons .level-btn').forEach(button => {
+            button.style.display = button.dataset.mode === modeId ? '' : 'none';
+        });
+
+        const shown = this.levels[this.shownLevelKey];
+        if (shown && shown.mode === modeId) return;
+        const first = Object.values(this.levels).find(level => level.mode === modeId);
+        if (first) {
+            this.showLevelInfo(first.id);
+        } else {
+            const mode = GAME_MODES[modeId];
+            document.getElementById('level-info').innerHTML = `
+                <h3>${mode.icon} ${mode.name}</h3>
+                <p>${mode.description}</p>
+                <p>No levels for this mode yet</p>
+            `;
+        }
+    }
+
+    // Ids of the selected mode's levels, in the order the selector shows their buttons
+    selectedModeLevels() {
+        return Array.from(document.querySelectorAll('#level-buttons .level-btn'))
+            .filter(button => button.dataset.mode === this.selectedMode)
+            .map(button => button.dataset.level);
+    }
+
+    // Create the selector button for a level from the manifest or a custom file; main.js wires it up
+    addLevelButton(level) {
+        const existing = document.getElementById(`${level.id}-btn`);
+        if (existing) existing.remove();
+
+        const button = document.createElement('button');
+        button.id = `${level.id}-btn`;
+        button.className = 'level-btn';
+        button.dataset.level = level.id;
+        button.dataset.mode = level.mode;
+        button.style.display = level.mode === this.selectedMode ? '' : 'none';
+        button.textContent = `${level.icon} ${level.name.toUpperCase()}`;
+        if (level.buttonColors) {
+            button.style.background = `linear-gradient(135deg, ${level.buttonColors[0]}, ${level.buttonColors[1]})`;
+        }
+
+        document.getElementById('level-buttons').appendChild(button);
+        return button;
+    }
+
+    // Render a level's settings plus the player's best and the top 10 from the leaderboard
+    showLevelInfo(levelKey) {
         const levelInfo = document.getElementById('level-info');
-        if (levelInfo && levels.beginner) {
-            levelInfo.innerHTML = `
-                <h3>${levels.beginner.name}</h3>
-                <p>${levels.beginner.description}</p>
-                <p>Targets: ${levels.beginner.targetCount} | Time: ${levels.beginner.gameTime}s | Size: ${levels.beginner.targetSize}</p>
+        const levelConfig = this.levels[levelKey];
+        if (!levelInfo || !levelConfig) return;
+
+        this.shownLevelKey = levelKey;
+        let scoresHTML = '';
+        if (this.leaderboard) {
+            const best = this.leaderboard.getPersonalBest(levelKey, this.getPlayerName());
+            const top = this.leaderboard.getTop(levelKey, 10);
+            const rows = top.map((entry, i) => `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${escapeHTML(entry.name)}</td>
+                    <td>${entry.score}</td>
+                    <td>${entry.accuracy.toFixed(1)}%</td>
+                    <td>${new Date(entry.date).toLocaleDateString()}</td>
+                </tr>
+            `).join('');
+
+            scoresHTML = `
+                <p class="personal-best">Personal best: ${best ? `${best.score} (${best.accuracy.toFixed(1)}%)` : '—'}</p>
+                ${top.length > 0
+                    ? `<table class="leaderboard-table"><tbody>${rows}</tbody></table>`
+                    : '<p class="leaderboard-empty">No scores yet</p>'}
             `;
         }
+
+        // Survival levels list their threat; the scenario modes say how they are played instead
+        const mode = GAME_MODES[levelConfig.mode];
+        const details = levelConfig.mode === 'survival'
+            ? `<p>Speed: ${levelConfig.targetSpeed.toFixed(1)} u/s | Health: ${levelConfig.playerHealth} HP | Contact: -${levelConfig.contactDamage} HP</p>
+               ${levelConfig.targetMix ? `<p>Mix: ${this.describeTargetMix(levelConfig.targetMix)}</p>` : ''}`
+            : `<p>${mode.description}</p>
+               ${levelConfig.targetLifetime ? `<p>Targets vanish after ${levelConfig.targetLifetime} ms</p>` : ''}`;
+
+        levelInfo.innerHTML = `
+            <h3>${levelConfig.mode === 'survival' ? '' : `${mode.icon} ${mode.name} · `}${escapeHTML(levelConfig.name)}</h3>
+            <p>${escapeHTML(levelConfig.description)}</p>
+            ${levelConfig.waves
+                ? `<p>Waves: ${levelConfig.waves.length} | Time: ${levelConfig.gameTime}s | Size: ${levelConfig.targetSize}</p>`
+                : `<p>Targets: ${levelConfig.targetCount} | Time: ${levelConfig.gameTime}s | Size: ${levelConfig.targetSize}</p>`}
+            ${details}
+            ${scoresHTML}
+        `;
+    }
+
+    // "basic 50% · decoy 25% · ..." from a { typeName: weight } mix
+    describeTargetMix(targetMix) {
+        const total = Object.values(targetMix).reduce((sum, weight) => sum + weight, 0);
+        return Object.entries(targetMix)
+            .filter(([, weight]) => weight > 0)
+            .map(([name, weight]) => `${name} ${Math.round((weight / total) * 100)}%`)
+            .join(' · ');
+    }
+
+    getPlayerName() {
+        const input = document.getElementById('player-name-input');
+        return (input && input.value.trim()) || 'Player';
+    }
+
+    setPlayerName(name) {
+        const input = document.getElementById('player-name-input');
+        if (input) {
+            input.value = name;
+        }
+    }
+
+    // The seed typed into the level selector, or '' for a random one
+    getSeed() {
+        const input = document.getElementById('seed-input');
+        return input ? input.value.trim() : '';
+    }
+
+    setSeed(seed) {
+        const input = document.getElementById('seed-input');
+        if (input) {
+            input.value = seed;
+        }
+    }
+
+    // Show a level manifest or custom level problem in the level info panel
+    showLevelError(message) {
+        const levelInfo = document.getElementById('level-info');
+        if (levelInfo) {
+            levelInfo.innerHTML = `<pre class="level-error">${escapeHTML(message)}</pre>`;
+        }
+    }
+
+    showLeaderboardStatus(message, isError = false) {
+        const status = document.getElementById('leaderboard-status');
+        if (status) {
+            status.textContent = message;
+            status.style.color = isError ? '#ff4444' : '#ccc';
+        }
+    }
+
+    // Offer text to the user as a file download
+    downloadFile(filename, text, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
     createLoadingScreen() {
@@ -89,10 +460,17 @@ export class UIManager {
                     </div>
                     <div class="progress-text" id="progress-text">0%</div>
                 </div>
+                <ul class="loading-report" id="loading-report"></ul>
+                <button id="continue-loading-btn" class="loading-continue" style="display: none;">CONTINUE WITH FALLBACKS</button>
             </div>
         `;
         document.body.appendChild(this.elements.loadingScreen);
 
+        // A slow or hanging download never traps the player on this screen
+        this.continueTimer = setTimeout(() => {
+            document.getElementById('continue-loading-btn').style.display = 'inline-block';
+        }, CONTINUE_DELAY * 1000);
+
         this.addLoadingStyles();
     }
 
@@ -164,6 +542,35 @@ export class UIManager {
                 font-size: 14px;
                 color: #ccc;
             }
+
+            .loading-report {
+                list-style: none;
+                padding: 0;
+                margin: 20px 0;
+                text-align: left;
+                font-size: 14px;
+                color: #ffb74d;
+            }
+
+            .loading-report li {
+                margin: 6px 0;
+            }
+
+            .loading-report .reason {
+                color: #888;
+                font-size: 12px;
+            }
+
+            .loading-continue {
+                padding: 12px 24px;
+                font-size: 16px;
+                font-weight: bold;
+                color: white;
+                background: #4CAF50;
+                border: none;
+                border-radius: 8px;
+                cursor: pointer;
+            }
         `;
         document.head.appendChild(loadingStyles);
     }
@@ -176,22 +583,207 @@ export class UIManager {
             console.log(`Progress: ${itemsLoaded}/${itemsTotal}`);
         };
 
-        this.loadingManager.onLoad = () => {
-            console.log('All assets loaded successfully!');
-            this.hideLoadingScreen();
-        };
-
         this.loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
             const progress = (itemsLoaded / itemsTotal) * 100;
             this.updateProgressBar(progress);
             console.log(`Loading: ${url}`);
             console.log(`Progress: ${itemsLoaded}/${itemsTotal} (${Math.round(progress)}%)`);
         };
+    }
+
+    // Show and hide UI elements as the game moves between states
+    bindStateMachine(stateMachine) {
+        stateMachine.onExit(GameStates.LOADING, () => this.hideLoadingScreen());
+
+        stateMachine.onEnter(GameStates.MENU, () => {
+            this.hideWaveBanner();
+            this.showLevelInfo(this.shownLevelKey); // pick up any score saved by the last round
+            this.showLevelSelector();
+        });
+        stateMachine.onExit(GameStates.MENU, () => this.hideLevelSelector());
 
-        this.loadingManager.onError = (url) => {
-            console.error(`Error loading: ${url}`);
-            this.showError(`Error loading: ${url.split('/').pop()}`);
+        stateMachine.onEnter(GameStates.COUNTDOWN, () => {
+            this.hideWaveBanner();
+            this.showCountdown();
+        });
+        stateMachine.onExit(GameStates.COUNTDOWN, () => this.hideCountdown());
+
+        stateMachine.onEnter(GameStates.PLAYING, () => this.showCrosshair());
+        stateMachine.onExit(GameStates.PLAYING, () => this.hideCrosshair());
+
+        stateMachine.onEnter(GameStates.PAUSED, () => this.showPauseMenu());
+        stateMachine.onExit(GameStates.PAUSED, () => this.hidePauseMenu());
+
+        stateMachine.onEnter(GameStates.GAME_OVER, ({ results }) => {
+            this.hideWaveBanner();
+            this.showResults(results);
+        });
+        stateMachine.onExit(GameStates.GAME_OVER, () => this.hideResults());
+    }
+
+    // Build one input per setting, keep them in sync with the Settings object and apply the crosshair live
+    bindSettings(settings) {
+        const fields = document.getElementById('settings-fields');
+        fields.innerHTML = Object.entries(SETTING_FIELDS).map(([key, field]) => {
+            const id = `setting-${key}`;
+            let input;
+            if (field.type === 'boolean') {
+                input = `<input id="${id}" type="checkbox">`;
+            } else if (field.type === 'enum') {
+                input = `<select id="${id}">${field.values.map(v => `<option value="${v}">${v}</option>`).join('')}</select>`;
+            } else if (field.type === 'color') {
+                input = `<input id="${id}" type="color">`;
+            } else {
+                input = `<input id="${id}" type="range" min="${field.min}" max="${field.max}" step="${field.step}">
+                    <span class="setting-value" id="${id}-value"></span>`;
+            }
+            return `<div class="settings-row"><label for="${id}">${field.label}</label>${input}</div>`;
+        }).join('');
+
+        Object.entries(SETTING_FIELDS).forEach(([key, field]) => {
+            const input = document.getElementById(`setting-${key}`);
+            input.addEventListener('input', () => {
+                settings.set(key, field.type === 'boolean' ? input.checked : input.value);
+            });
+            this.showSetting(key, settings.get(key));
+        });
+
+        const cmInput = document.getElementById('setting-cm360');
+        cmInput.value = settings.cmPer360.toFixed(1);
+        cmInput.addEventListener('change', () => {
+            const cm = Number(cmInput.value);
+            if (cm > 0) settings.set('sensitivity', sensitivityForCm(cm, settings.get('dpi')));
+            cmInput.value = settings.cmPer360.toFixed(1);
+        });
+
+        settings.onChange((key, value) => {
+            this.showSetting(key, value);
+            if (key === 'sensitivity' || key === 'dpi') {
+                cmInput.value = settings.cmPer360.toFixed(1);
+            }
+            if (key.startsWith('crosshair')) this.applyCrosshair(settings.values);
+        });
+        this.applyCrosshair(settings.values);
+
+        document.getElementById('settings-btn').addEventListener('click', () => this.showSettings());
+        document.getElementById('pause-settings-btn').addEventListener('click', () => this.showSettings());
+        document.getElementById('settings-close-btn').addEventListener('click', () => this.hideSettings());
+        document.getElementById('settings-reset-btn').addEventListener('click', () => settings.reset());
+    }
+
+    // One row per action with its keyboard/mouse and gamepad binding; clicking a binding waits for the new input
+    bindInput(input) {
+        const tbody = document.getElementById('settings-bindings');
+        const render = () => {
+            tbody.innerHTML = Object.entries(ACTIONS).map(([action, { label }]) => `
+                <tr>
+                    <td>${label}</td>
+                    <td><button class="binding-btn" data-action="${action}" data-kind="keyboard">${escapeHTML(describeBinding(input.getBinding(action, 'keyboard')))}</button></td>
+                    <td><button class="binding-btn" data-action="${action}" data-kind="gamepad">${escapeHTML(describeBinding(input.getBinding(action, 'gamepad')))}</button></td>
+                </tr>
+            `).join('');
         };
+        render();
+
+        tbody.addEventListener('click', (e) => {
+            const button = e.target.closest('.binding-btn');
+            if (!button) return;
+
+            const { action, kind } = button.dataset;
+            tbody.querySelectorAll('.binding-btn.waiting').forEach(b => b.classList.remove('waiting'));
+            button.classList.add('waiting');
+            button.textContent = kind === 'gamepad' ? 'Press a button…' : 'Press a key…';
+            // 'click' comes after this click's mouseup, so the next mouse button pressed is the new binding
+            input.captureNext(kind, (code) => {
+                if (code) input.setBinding(action, code);
+                render();
+            });
+        });
+
+        document.getElementById('bindings-reset-btn').addEventListener('click', () => {
+            input.cancelCapture();
+            input.resetBindings();
+            render();
+        });
+        document.getElementById('settings-close-btn').addEventListener('click', () => {
+            input.cancelCapture();
+            render();
+        });
+
+        const gamepadStatus = document.getElementById('settings-gamepad');
+        input.on('gamepad', (id) => {
+            gamepadStatus.textContent = id ? `Controller: ${id}` : 'No controller connected';
+        });
+    }
+
+    // HUD feedback for the game events (score, hit markers, popups, health); toScreen(point) maps a
+    // world point to { x, y } in pixels for the score popups
+    bindEvents(events, toScreen) {
+        events.on('roundStart', ({ score, scoring, health, maxHealth, weapon, weapons }) => {
+            this.updateScore(score, scoring);
+            this.updateHealth(health, maxHealth);
+            this.updateAmmo(weapon, weapons);
+        });
+
+        events.on('targetHit', ({ destroyed, point, points, bullseye, speedBonus, score, scoring }) => {
+            this.updateScore(score, scoring);
+            this.showHitMarker(destroyed);
+            if (points !== 0) {
+                const label = `${points > 0 ? '+' : ''}${points}${bullseye ? ' BULLSEYE' : ''}${speedBonus > 0 ? ' FAST' : ''}`;
+                const screen = toScreen(point);
+                this.showScorePopup(label, screen.x, screen.y, points > 0);
+            }
+        });
+
+        // The combo grows or breaks once the whole shot is scored
+        events.on('shotFired', ({ score, scoring }) => this.updateScore(score, scoring));
+
+        events.on('playerHit', ({ health, maxHealth }) => {
+            this.updateHealth(health, maxHealth);
+            this.showDamageFlash();
+        });
+    }
+
+    // An empty HUD box for a plugin to fill in, stacked under the timer
+    addHudWidget(id) {
+        const widget = document.createElement('div');
+        widget.className = 'hud-widget';
+        widget.id = `hud-widget-${id}`;
+        this.elements.hudWidgets.appendChild(widget);
+        return widget;
+    }
+
+    // Put a setting's value into its input (and the number next to a slider)
+    showSetting(key, value) {
+        const input = document.getElementById(`setting-${key}`);
+        if (!input) return;
+
+        if (SETTING_FIELDS[key].type === 'boolean') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        const label = document.getElementById(`setting-${key}-value`);
+        if (label) label.textContent = SETTING_FIELDS[key].type === 'number' ? value.toFixed(2) : value;
+    }
+
+    showSettings() {
+        this.elements.settingsPanel.style.display = 'flex';
+    }
+
+    hideSettings() {
+        this.elements.settingsPanel.style.display = 'none';
+    }
+
+    // Crosshair shape, colour, size, gap and thickness from the settings
+    applyCrosshair({ crosshairShape, crosshairColor, crosshairSize, crosshairGap, crosshairThickness }) {
+        if (!this.crosshair) return;
+
+        this.crosshair.className = `shape-${crosshairShape}`;
+        this.crosshair.style.setProperty('--ch-color', crosshairColor);
+        this.crosshair.style.setProperty('--ch-size', `${crosshairSize}px`);
+        this.crosshair.style.setProperty('--ch-gap', `${crosshairGap}px`);
+        this.crosshair.style.setProperty('--ch-thickness', `${crosshairThickness}px`);
     }
 
     updateProgressBar(progress) {
@@ -205,6 +797,7 @@ export class UIManager {
     }
 
     hideLoadingScreen() {
+        clearTimeout(this.continueTimer);
         this.elements.loadingScreen.style.opacity = '0';
         this.elements.loadingScreen.style.transition = 'opacity 0.5s ease';
         setTimeout(() => {
@@ -212,12 +805,31 @@ export class UIManager {
         }, 500);
     }
 
-    showError(message) {
-        const progressText = document.getElementById('progress-text');
-        if (progressText) {
-            progressText.textContent = message;
-            progressText.style.color = '#ff4444';
-        }
+    // "Continue with fallbacks" on the loading screen
+    onContinueLoading(callback) {
+        document.getElementById('continue-loading-btn').addEventListener('click', callback);
+    }
+
+    // Loading finished but some assets fell back: list them ({ label, fallback, reason }) and wait
+    showDegradedAssets(degraded) {
+        clearTimeout(this.continueTimer);
+        this.elements.loadingScreen.querySelector('.loading-spinner').style.display = 'none';
+        this.elements.loadingScreen.querySelector('.loading-text').textContent =
+            'Some assets could not be loaded';
+
+        const report = document.getElementById('loading-report');
+        report.innerHTML = '';
+        degraded.forEach(({ label, fallback, reason }) => {
+            const item = document.createElement('li');
+            item.textContent = `${label}: using ${fallback} `;
+            const detail = document.createElement('span');
+            detail.className = 'reason';
+            detail.textContent = `(${reason})`;
+            item.appendChild(detail);
+            report.appendChild(item);
+        });
+
+        document.getElementById('continue-loading-btn').style.display = 'inline-block';
     }
 
     // Public methods to control UI elements
@@ -229,6 +841,201 @@ export class UIManager {
         this.elements.levelSelector.style.display = 'none';
     }
 
+    showPauseMenu() {
+        this.elements.pauseMenu.style.display = 'flex';
+    }
+
+    hidePauseMenu() {
+        this.elements.pauseMenu.style.display = 'none';
+    }
+
+    showResults(results) {
+        this.analytics = results.analytics;
+        const causes = {
+            hit: 'Out of health - hit by the targets!',
+            timeout: "Time's up!",
+            cleared: 'All waves cleared!'
+        };
+        const cause = causes[results.reason];
+        document.getElementById('results-cause').textContent = cause;
+
+        // A scenario mode has results of its own (see src/core/modes.js)
+        const rows = results.modeResults
+            ? [
+                ['Final Score', results.score],
+                ['Mode', GAME_MODES[results.mode].name],
+                ['Level', escapeHTML(results.level)],
+                ...results.modeResults,
+                ['Seed', escapeHTML(results.seed)]
+            ]
+            : [
+                ['Final Score', results.score],
+                ['Level', escapeHTML(results.level)],
+                ...(results.wave ? [['Wave Reached', results.wave]] : []),
+                ['Shots Fired', results.shots],
+                ['Hits', results.hits],
+                ['Accuracy', `${results.accuracy.toFixed(1)}%`],
+                ['Longest Streak', results.longestStreak],
+                ['Time Survived', `${results.timeSurvived.toFixed(1)}s`],
+                ['Seed', escapeHTML(results.seed)]
+            ];
+        document.getElementById('results-stats').innerHTML = rows
+            .map(([label, value]) => `<div class="results-row"><span>${label}</span><span>${value}</span></div>`)
+            .join('');
+
+        const bestLine = document.getElementById('results-best');
+        if (results.replay) {
+            const recorded = results.replay.result;
+            const matches = recorded && recorded.score === results.score;
+            bestLine.textContent = `Replay of ${results.replay.player}'s run` +
+                (recorded ? ` - recorded score ${recorded.score}${matches ? '' : ' (playback differs)'}` : '');
+        } else {
+            bestLine.textContent = results.personalBest
+                ? `New personal best! Leaderboard rank #${results.rank}`
+                : `Leaderboard rank #${results.rank}`;
+        }
+        // A replay can be watched again but not saved again
+        document.getElementById('retry-btn').textContent = results.replay ? '↻ WATCH AGAIN' : '↻ RETRY';
+        document.getElementById('save-replay-btn').style.display = results.replay ? 'none' : '';
+
+        this.elements.resultsScreen.style.display = 'flex';
+    }
+
+    hideResults() {
+        this.elements.resultsScreen.style.display = 'none';
+    }
+
+    // The last round's aim analytics: summary numbers plus the scatter and histogram
+    showAnalytics() {
+        const summary = this.analytics;
+        if (!summary) return;
+
+        const value = (number, digits, unit) => number === null ? '—' : `${number.toFixed(digits)}${unit}`;
+        const rows = [
+            ['Shots / hits / kills', `${summary.shots} / ${summary.hits} / ${summary.kills}`],
+            ['Time to kill (avg / median / best)',
+                `${value(summary.averageTimeToKill, 2, 's')} / ${value(summary.medianTimeToKill, 2, 's')} / ${value(summary.bestTimeToKill, 2, 's')}`],
+            ['Average flick', value(summary.averageFlick, 1, '°')],
+            ['Overshoot (share / average)',
+                `${value(summary.overshootShare, 0, '%')} / ${summary.averageOvershoot > 0 ? '+' : ''}${value(summary.averageOvershoot, 2, '°')}`],
+            ['Average miss error', value(summary.averageMissError, 2, '°')]
+        ];
+        document.getElementById('analytics-summary').innerHTML = rows
+            .map(([label, text]) => `<div class="results-row"><span>${label}</span><span>${text}</span></div>`)
+            .join('');
+
+        const canvas = document.getElementById('analytics-canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.drawScatter(ctx, 0, 0, canvas.height, summary.scatter);
+        this.drawHistogram(ctx, canvas.height + 20, 0, canvas.width - canvas.height - 20, canvas.height, summary.reactionTimes);
+
+        this.elements.analyticsPanel.style.display = 'flex';
+    }
+
+    hideAnalytics() {
+        this.elements.analyticsPanel.style.display = 'none';
+    }
+
+    // Where the targets were relative to the crosshair (the centre) at every shot: green hits, red misses
+    drawScatter(ctx, left, top, size, points) {
+        const centre = size / 2;
+        const scale = (size / 2 - 10) / SCATTER_RANGE;
+
+        ctx.save();
+        ctx.translate(left, top);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '11px Arial';
+        [SCATTER_RANGE / 4, SCATTER_RANGE / 2, SCATTER_RANGE].forEach(degrees => {
+            ctx.beginPath();
+            ctx.arc(centre, centre, degrees * scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillText(`${degrees}°`, centre + degrees * scale + 2, centre - 2);
+        });
+        ctx.beginPath();
+        ctx.moveTo(centre - 8, centre);
+        ctx.lineTo(centre + 8, centre);
+        ctx.moveTo(centre, centre - 8);
+        ctx.lineTo(centre, centre + 8);
+        ctx.stroke();
+
+        points.forEach(({ x, y, hit }) => {
+            const clamp = degrees => Math.max(-SCATTER_RANGE, Math.min(SCATTER_RANGE, degrees));
+            ctx.fillStyle = hit ? 'rgba(76, 175, 80, 0.8)' : 'rgba(255, 68, 68, 0.8)';
+            ctx.beginPath();
+            // Screen y grows downwards, so "up" offsets are drawn above the centre
+            ctx.arc(centre + clamp(x) * scale, centre - clamp(y) * scale, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.fillStyle = 'white';
+        ctx.fillText('Target offset from crosshair', 4, size - 4);
+        ctx.restore();
+    }
+
+    // How many kills took how long from the target's spawn
+    drawHistogram(ctx, left, top, width, height, times) {
+        const counts = new Array(HISTOGRAM_BINS).fill(0);
+        times.forEach(time => {
+            counts[Math.min(HISTOGRAM_BINS - 1, Math.floor(time / HISTOGRAM_BIN))]++;
+        });
+        const highest = Math.max(1, ...counts);
+        const chartHeight = height - 40;
+        const barWidth = width / HISTOGRAM_BINS;
+
+        ctx.save();
+        ctx.translate(left, top);
+        ctx.font = '11px Arial';
+        counts.forEach((count, i) => {
+            const barHeight = (count / highest) * (chartHeight - 15);
+            ctx.fillStyle = '#ffd54f';
+            ctx.fillRect(i * barWidth + 2, chartHeight - barHeight, barWidth - 4, barHeight);
+            ctx.fillStyle = 'white';
+            if (count > 0) ctx.fillText(count, i * barWidth + 4, chartHeight - barHeight - 3);
+            if (i % 2 === 0) ctx.fillText(`${(i * HISTOGRAM_BIN).toFixed(1)}`, i * barWidth, chartHeight + 14);
+        });
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(0, chartHeight);
+        ctx.lineTo(width, chartHeight);
+        ctx.stroke();
+        ctx.fillText(`Time to kill (s, last bar ${HISTOGRAM_BINS * HISTOGRAM_BIN}s+)`, 0, height - 4);
+        ctx.restore();
+    }
+
+    // info: { player, level, seed } of the replay being watched
+    showReplayBar(info) {
+        document.getElementById('replay-info').textContent = `REPLAY · ${info.player} · ${info.level} · seed ${info.seed}`;
+        this.updateReplayBar(false, false);
+        this.elements.replayBar.style.display = 'flex';
+    }
+
+    // The buttons offer the opposite of what is on now
+    updateReplayBar(paused, playerView) {
+        document.getElementById('replay-pause-btn').textContent = paused ? '▶ Play' : '⏸ Pause';
+        document.getElementById('replay-view-btn').textContent = playerView ? '🎥 Free camera' : '👁 Player view';
+        // The crosshair only means something through the player's eyes
+        document.body.classList.toggle('replay-free-camera', !playerView);
+    }
+
+    hideReplayBar() {
+        this.elements.replayBar.style.display = 'none';
+        document.body.classList.remove('replay-free-camera');
+    }
+
+    showWaveBanner(waveNumber, totalWaves) {
+        this.elements.waveBanner.innerHTML = `
+            <div class="wave-title">WAVE ${waveNumber}</div>
+            <div class="wave-subtitle">${waveNumber === totalWaves ? 'Final wave' : `of ${totalWaves}`}</div>
+        `;
+        this.elements.waveBanner.style.display = 'block';
+    }
+
+    hideWaveBanner() {
+        this.elements.waveBanner.style.display = 'none';
+    }
+
     showCountdown() {
         this.elements.countdownDiv.style.display = 'block';
     }
@@ -246,12 +1053,68 @@ export class UIManager {
         this.elements.timerDiv.textContent = `Time: ${time}`;
     }
 
-    updateScore(score) {
+    // Score plus the live combo multiplier and streak from the Scoring module
+    updateScore(score, scoring) {
         if (this.scoreDiv) {
-            this.scoreDiv.textContent = `Score: ${score}`;
+            const combo = scoring && scoring.streak > 0
+                ? `<span class="combo">x${scoring.multiplier.toFixed(1)} · ${scoring.streak} streak</span>`
+                : '';
+            this.scoreDiv.innerHTML = `Score: ${score}${combo}`;
         }
     }
 
+    updateHealth(health, maxHealth) {
+        const percent = maxHealth > 0 ? (health / maxHealth) * 100 : 0;
+        const fill = document.getElementById('health-fill');
+        fill.style.width = `${percent}%`;
+        fill.classList.toggle('low', percent <= 30);
+        document.getElementById('health-text').textContent = `${Math.ceil(health)} HP`;
+    }
+
+    // Current gun's magazine (or reload state) plus the number-key slots, active one highlighted
+    updateAmmo(weapon, weapons) {
+        const slots = weapons.map((w, i) => `
+            <span class="weapon-slot${w === weapon ? ' active' : ''}">${i + 1} ${w.name.toUpperCase()}</span>
+        `).join('');
+        const count = weapon.isReloading
+            ? '<span class="reloading">RELOADING...</span>'
+            : `${weapon.ammo} / ${weapon.magazineSize}`;
+
+        this.elements.ammoDiv.innerHTML = `
+            <div class="weapon-slots">${slots}</div>
+            <div class="ammo-count${weapon.ammo === 0 ? ' empty' : ''}">${count}</div>
+        `;
+    }
+
+    // Restart the red edge flash (removing the class and forcing a reflow replays the animation)
+    showDamageFlash() {
+        this.replayAnimation(this.elements.damageVignette, 'active');
+    }
+
+    // Hit marker over the crosshair; kills show the bigger red variant
+    showHitMarker(kill) {
+        this.elements.hitMarker.classList.toggle('kill', kill);
+        this.replayAnimation(this.elements.hitMarker, 'active');
+    }
+
+    // Floating "+N" text rising from a screen position
+    showScorePopup(text, x, y, positive) {
+        const popup = this.scorePopups[this.nextScorePopup];
+        this.nextScorePopup = (this.nextScorePopup + 1) % this.scorePopups.length;
+
+        popup.textContent = text;
+        popup.style.left = `${x}px`;
+        popup.style.top = `${y}px`;
+        popup.classList.toggle('negative', !positive);
+        this.replayAnimation(popup, 'active');
+    }
+
+    replayAnimation(element, className) {
+        element.classList.remove(className);
+        void element.offsetWidth;
+        element.classList.add(className);
+    }
+
     showCrosshair() {
         if (this.crosshair) {
             this.crosshair.style.display = 'block';
@@ -0,0 +1,70 @@
+/*
+PluginHost.js
+The PluginHost class registers plugins. A plugin is an object with a name and a setup(api) function
+that is called once at startup; everything a plugin can do goes through the api it receives:
+
+- on(event, listener): subscribe to a game event (see GAME_EVENTS in EventBus.js)
+- addTargetType(name, definition): a new target type for levels' targetMix (see targetTypes.js;
+  move may name a built-in movement, shape one of TARGET_SHAPES)
+- addHudWidget(id): an empty HUD box to fill in; returns its element
+- addScoringRule(rule): extra points per hit, see Scoring.addRule()
+
+A plugin that fails to set up is logged and skipped; the game starts without it.
+
+Purpose
+Its purpose is to give mods and extensions a small, stable surface, so they never have to reach
+into main.js or edit the core files.
+*/
+import { registerTargetType } from '../components/targetTypes.js';
+import { TARGET_SHAPES } from '../components/TargetRenderer.js';
+
+export class PluginHost {
+    constructor({ events, scoring, targetRenderer, uiManager }) {
+        this.events = events;
+        this.scoring = scoring;
+        this.targetRenderer = targetRenderer;
+        this.uiManager = uiManager;
+        this.plugins = new Map(); // name -> plugin
+    }
+
+    register(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+            throw new Error('A plugin needs a name and a setup(api) function');
+        }
+        if (this.plugins.has(plugin.name)) {
+            throw new Error(`Plugin "${plugin.name}" is already registered`);
+        }
+
+        plugin.setup(this.createApi(plugin));
+        this.plugins.set(plugin.name, plugin);
+    }
+
+    // Register every plugin that sets up cleanly
+    registerAll(plugins) {
+        plugins.forEach(plugin => {
+            try {
+                this.register(plugin);
+            } catch (err) {
+                console.error(`Plugin ${plugin && plugin.name ? `"${plugin.name}" ` : ''}failed to load:`, err);
+            }
+        });
+    }
+
+    createApi(plugin) {
+        return {
+            on: (event, listener) => this.events.on(event, listener),
+            addTargetType: (name, definition) => {
+                const shape = definition.shape ?? 'box';
+                if (!TARGET_SHAPES.includes(shape)) {
+                    throw new Error(`Target type "${name}" has unknown shape "${shape}" (expected one of ${TARGET_SHAPES.join(', ')})`);
+                }
+                const type = registerTargetType(name, definition);
+                this.targetRenderer.addType(name, type);
+                return type;
+            },
+            // Ids are prefixed with the plugin's name so two plugins can't clash
+            addHudWidget: (id) => this.uiManager.addHudWidget(`${plugin.name}-${id}`),
+            addScoringRule: (rule) => this.scoring.addRule(rule)
+        };
+    }
+}
@@ -0,0 +1,10 @@
+/*
+index.js
+The plugins the game loads at startup, in order. Import a plugin module and add it to PLUGINS to
+enable it; see PluginHost.js for what a plugin can do and the README for an example.
+
+Purpose
+Its purpose is to keep enabling or disabling a mod a one-line change, away from the game code.
+*/
+
+export const PLUGINS = [];
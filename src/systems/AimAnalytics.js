@@ -0,0 +1,136 @@
+/*
+AimAnalytics.js
+The AimAnalytics class keeps the training metrics of a round, one record per shot. The shooting
+handler reports where the crosshair pointed and which target the shot was about: the one it hit or,
+for a miss, the one nearest the crosshair. From that every shot gets its angular error from the
+target's centre and the target's offset from the crosshair (the scatter plot), and every kill gets
+the time from the target's spawn to the kill, the angle flicked since the previous shot, and how far
+that flick overshot (positive) or undershot (negative) the target's centre. summary() rolls the
+shots up for the analytics view and toCSV() exports them.
+
+Purpose
+Its purpose is to measure how the player aims, not just what they scored, without the game loop or
+the UI doing any of the bookkeeping. Like RoundStats it has no DOM or Three.js code: directions
+arrive as plain [x, y, z] unit vectors.
+*/
+
+const RAD_TO_DEG = 180 / Math.PI;
+const MIN_FLICK = 1; // degrees; smaller moves between shots are tracking, not flicks
+
+const CSV_COLUMNS = [
+    'shot', 'time', 'weapon', 'result', 'target', 'error_deg', 'offset_x_deg', 'offset_y_deg',
+    'time_to_kill_s', 'flick_deg', 'overshoot_deg'
+];
+
+// Angle between two unit vectors in degrees
+function angleBetween(a, b) {
+    const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    return Math.acos(Math.max(-1, Math.min(1, dot))) * RAD_TO_DEG;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatNumber(value, digits) {
+    return value === null ? '' : value.toFixed(digits);
+}
+
+export class AimAnalytics {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.shots = [];
+        this.lastAim = null; // crosshair direction at the previous shot
+    }
+
+    // time: seconds of play; weapon: the gun's name; aim: unit [x, y, z] of the crosshair;
+    // hit: whether the shot counts as a hit (decoys don't). target describes the target hit, or the
+    // nearest one for a miss, as { type, direction (unit [x, y, z] from the eye to its centre),
+    // offset ([x, y] degrees from the crosshair), killed, timeToKill }; null if there was none.
+    recordShot({ time, weapon, aim, hit, target }) {
+        const flick = this.lastAim ? angleBetween(this.lastAim, aim) : null;
+        const shot = {
+            time,
+            weapon,
+            hit,
+            killed: false,
+            type: null,
+            error: null,
+            offset: null,
+            timeToKill: null,
+            flick,
+            overshoot: null
+        };
+
+        if (target) {
+            shot.type = target.type;
+            shot.error = angleBetween(aim, target.direction);
+            shot.offset = target.offset;
+            if (hit && target.killed) {
+                shot.killed = true;
+                shot.timeToKill = target.timeToKill;
+                if (this.lastAim) shot.overshoot = flick - angleBetween(this.lastAim, target.direction);
+            }
+        }
+
+        this.shots.push(shot);
+        this.lastAim = aim;
+    }
+
+    summary() {
+        const kills = this.shots.filter(shot => shot.killed);
+        const flicks = kills.filter(shot => shot.flick !== null && shot.flick >= MIN_FLICK);
+        const misses = this.shots.filter(shot => !shot.hit && shot.error !== null);
+        const reactionTimes = kills.map(shot => shot.timeToKill);
+        const hits = this.shots.filter(shot => shot.hit).length;
+
+        return {
+            shots: this.shots.length,
+            hits,
+            kills: kills.length,
+            accuracy: this.shots.length > 0 ? (hits / this.shots.length) * 100 : 0,
+            reactionTimes,
+            averageTimeToKill: average(reactionTimes),
+            medianTimeToKill: median(reactionTimes),
+            bestTimeToKill: reactionTimes.length > 0 ? Math.min(...reactionTimes) : null,
+            averageFlick: average(flicks.map(shot => shot.flick)),
+            averageOvershoot: average(flicks.map(shot => shot.overshoot)),
+            overshootShare: flicks.length > 0
+                ? (flicks.filter(shot => shot.overshoot > 0).length / flicks.length) * 100
+                : null,
+            averageMissError: average(misses.map(shot => shot.error)),
+            // { x, y, hit } degrees from the crosshair to the target's centre, for the scatter plot
+            scatter: this.shots
+                .filter(shot => shot.offset)
+                .map(shot => ({ x: shot.offset[0], y: shot.offset[1], hit: shot.hit }))
+        };
+    }
+
+    // One row per shot
+    toCSV() {
+        const rows = this.shots.map((shot, i) => [
+            i + 1,
+            shot.time.toFixed(3),
+            shot.weapon,
+            shot.killed ? 'kill' : (shot.hit ? 'hit' : 'miss'),
+            shot.type ?? '',
+            formatNumber(shot.error, 2),
+            formatNumber(shot.offset && shot.offset[0], 2),
+            formatNumber(shot.offset && shot.offset[1], 2),
+            formatNumber(shot.timeToKill, 3),
+            formatNumber(shot.flick, 2),
+            formatNumber(shot.overshoot, 2)
+        ].join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+}
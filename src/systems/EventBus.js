@@ -0,0 +1,71 @@
+/*
+EventBus.js
+The EventBus class carries the game's events from the game logic to whoever wants to react to them:
+the UIManager, the AudioManager and plugins. GAME_EVENTS lists every event and the fields its payload
+always has; emit() refuses an unknown event or a payload missing one of them, and on() refuses to
+subscribe to an event that doesn't exist, so a typo fails loudly instead of never firing.
+
+A listener that throws is logged and skipped, so a broken plugin can't stop the game loop.
+
+Purpose
+Its purpose is to let features react to gameplay without main.js calling each of them, so a new
+HUD element, sound or mod is a subscription rather than an edit to the core file. Like the
+GameStateMachine it has no DOM or Three.js dependencies.
+*/
+
+export const GAME_EVENTS = Object.freeze({
+    // A round was reset and its countdown begins; replay is true while watching a replay
+    roundStart: ['level', 'levelKey', 'seed', 'replay', 'health', 'maxHealth', 'score', 'scoring', 'weapon', 'weapons'],
+    // One trigger pull was resolved; hit is false when only decoys (or nothing) were hit,
+    // target is the first non-decoy target hit (or null) and killed whether that shot destroyed it
+    shotFired: ['weapon', 'hit', 'decoy', 'target', 'killed', 'score', 'scoring'],
+    // A pellet hit a target at point (world space); points is what the hit scored
+    targetHit: ['target', 'point', 'points', 'bullseye', 'speedBonus', 'destroyed', 'score', 'scoring'],
+    // A target was placed, at the start of a round or wave or when it respawns
+    targetSpawned: ['target', 'config'],
+    // A target reached the player
+    playerHit: ['target', 'damage', 'health', 'maxHealth'],
+    // The round is over; reason is 'timeout', 'hit' or 'cleared' and results what the results screen shows
+    roundEnd: ['reason', 'score', 'results']
+});
+
+export class EventBus {
+    constructor(events = GAME_EVENTS) {
+        this.events = events;
+        this.listeners = {};
+    }
+
+    check(event) {
+        if (!this.events[event]) {
+            throw new Error(`Unknown game event "${event}" (expected one of ${Object.keys(this.events).join(', ')})`);
+        }
+    }
+
+    // Subscribe to an event. Returns an unsubscribe function.
+    on(event, listener) {
+        this.check(event);
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+        };
+    }
+
+    emit(event, payload) {
+        this.check(event);
+        const missing = this.events[event].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`${event} event is missing ${missing.join(', ')}`);
+        }
+
+        (this.listeners[event] || []).slice().forEach(listener => {
+            try {
+                listener(payload);
+            } catch (err) {
+                console.error(`Error in a ${event} listener:`, err);
+            }
+        });
+    }
+}
@@ -0,0 +1,80 @@
+/*
+GameClock.js
+The GameClock class turns the variable frame times coming from requestAnimationFrame into a
+steady series of fixed-size simulation steps. Real elapsed time is collected in an accumulator
+and drained in FIXED_STEP chunks, so targets, the countdown and the match timer advance by the
+same amount of game time no matter how fast the monitor refreshes. freeze() holds game time still
+for a moment of real time (the hit-stop on a kill): no steps run, and none are made up afterwards.
+
+Purpose
+Its purpose is to be the single source of game time: animate() feeds it timestamps, and every
+piece of gameplay that moves or counts down receives its delta from the clock's step callback.
+*/
+
+export const FIXED_STEP = 1 / 60; // seconds of game time per simulation step
+const MAX_FRAME_TIME = 0.25; // clamp long frames (tab switches, breakpoints) to avoid a spiral of death
+
+export class GameClock {
+    constructor(step = FIXED_STEP) {
+        this.step = step;
+        this.accumulator = 0;
+        this.elapsed = 0; // total simulated game time in seconds
+        this.lastTime = null;
+        this.paused = false;
+        this.frozen = 0; // seconds of real time left before game time moves again
+        this.stepCallbacks = [];
+    }
+
+    // Register a function called with (delta, elapsed) once per fixed step
+    onStep(callback) {
+        this.stepCallbacks.push(callback);
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        // Forget the last timestamp so the time spent paused is not simulated
+        this.paused = false;
+        this.lastTime = null;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.elapsed = 0;
+        this.lastTime = null;
+        this.frozen = 0;
+    }
+
+    // Hold game time still for seconds of real time; overlapping freezes don't add up
+    freeze(seconds) {
+        this.frozen = Math.max(this.frozen, seconds);
+    }
+
+    // Feed the current timestamp (ms, e.g. from requestAnimationFrame) and run due steps.
+    // Returns how far we are between the last step and the next one (0..1).
+    update(now) {
+        if (this.lastTime === null || this.paused) {
+            this.lastTime = now;
+            return 0;
+        }
+
+        let frameTime = Math.min((now - this.lastTime) / 1000, MAX_FRAME_TIME);
+        this.lastTime = now;
+        if (this.frozen > 0) {
+            const held = Math.min(this.frozen, frameTime);
+            this.frozen -= held;
+            frameTime -= held;
+        }
+        this.accumulator += frameTime;
+
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            this.elapsed += this.step;
+            this.stepCallbacks.forEach(callback => callback(this.step, this.elapsed));
+        }
+
+        return this.accumulator / this.step;
+    }
+}
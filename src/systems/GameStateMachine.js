@@ -0,0 +1,88 @@
+/*
+GameStateMachine.js
+The GameStateMachine class holds the single current state of the game flow
+(loading → menu → countdown → playing → paused → gameOver) and only allows the transitions listed in
+TRANSITIONS. Every change runs the exit hooks of the old state, then the enter hooks of the new one,
+and finally emits a 'change' event, so each transition's side effects are defined in one place.
+
+Purpose
+Its purpose is to replace scattered isPlaying / isCountdown flags with one authority that the game
+logic and the UIManager both subscribe to. It has no DOM or Three.js dependencies, so the flow rules
+can be exercised in plain JavaScript without a browser.
+*/
+
+export const GameStates = Object.freeze({
+    LOADING: 'loading',
+    MENU: 'menu',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    GAME_OVER: 'gameOver'
+});
+
+// Allowed transitions: state -> states it may move to (-> countdown is a restart)
+const TRANSITIONS = {
+    [GameStates.LOADING]: [GameStates.MENU],
+    [GameStates.MENU]: [GameStates.COUNTDOWN],
+    [GameStates.COUNTDOWN]: [GameStates.COUNTDOWN, GameStates.PLAYING, GameStates.PAUSED, GameStates.MENU],
+    [GameStates.PLAYING]: [GameStates.COUNTDOWN, GameStates.PAUSED, GameStates.GAME_OVER, GameStates.MENU],
+    [GameStates.PAUSED]: [GameStates.COUNTDOWN, GameStates.PLAYING, GameStates.MENU],
+    [GameStates.GAME_OVER]: [GameStates.COUNTDOWN, GameStates.MENU]
+};
+
+export class GameStateMachine {
+    constructor(initialState = GameStates.LOADING) {
+        this.state = initialState;
+        this.previous = null; // state we came from, used to resume out of PAUSED
+        this.listeners = {};
+    }
+
+    // Subscribe to 'change', 'enter:<state>' or 'exit:<state>'. Returns an unsubscribe function.
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+        };
+    }
+
+    // listener(payload, fromState)
+    onEnter(state, listener) {
+        return this.on(`enter:${state}`, listener);
+    }
+
+    // listener(payload, toState)
+    onExit(state, listener) {
+        return this.on(`exit:${state}`, listener);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).slice().forEach(listener => listener(...args));
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        return (TRANSITIONS[this.state] || []).includes(to);
+    }
+
+    // Move to a new state. Invalid transitions (e.g. a second game over) are ignored and return false.
+    transition(to, payload = {}) {
+        const from = this.state;
+        if (!this.can(to)) {
+            console.warn(`Ignored state transition: ${from} -> ${to}`);
+            return false;
+        }
+
+        this.emit(`exit:${from}`, payload, to);
+        this.previous = from;
+        this.state = to;
+        this.emit(`enter:${to}`, payload, from);
+        this.emit('change', { from, to, payload });
+        return true;
+    }
+}
@@ -0,0 +1,126 @@
+/*
+Leaderboard.js
+The Leaderboard class keeps a high-score table per level (keyed like the levels object: beginner,
+intermediate, professional) in localStorage. Each entry stores the player name, score, accuracy
+and date. Tables can be exported to and imported from JSON so scores can be collected across
+machines for team competitions.
+
+Purpose
+Its purpose is to remember how well everyone did between sessions and to answer "what is the top
+10" and "what is my personal best" for the level info panel, without touching the DOM.
+*/
+
+const STORAGE_KEY = 'fps-shooter.leaderboard';
+const EXPORT_VERSION = 1;
+const MAX_ENTRIES_PER_LEVEL = 100; // keep more than we show so personal bests survive
+
+// Highest score first; ties go to the better accuracy, then the earlier date
+function compareEntries(a, b) {
+    return b.score - a.score || b.accuracy - a.accuracy || a.date.localeCompare(b.date);
+}
+
+function isValidEntry(entry) {
+    return entry !== null && typeof entry === 'object' &&
+        typeof entry.name === 'string' &&
+        Number.isFinite(entry.score) &&
+        Number.isFinite(entry.accuracy) &&
+        typeof entry.date === 'string';
+}
+
+export class Leaderboard {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.tables = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (err) {
+            console.error('Leaderboard load error:', err);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.tables));
+        } catch (err) {
+            console.error('Leaderboard save error:', err);
+        }
+    }
+
+    getEntries(levelKey) {
+        return this.tables[levelKey] || [];
+    }
+
+    getTop(levelKey, count = 10) {
+        return this.getEntries(levelKey).slice(0, count);
+    }
+
+    getPersonalBest(levelKey, name) {
+        return this.getEntries(levelKey).find(entry => entry.name === name) || null;
+    }
+
+    // Add a finished round; returns its 1-based rank in the level table
+    addEntry(levelKey, { name, score, accuracy, date = new Date().toISOString() }) {
+        const entry = { name, score, accuracy, date };
+        const entries = [...this.getEntries(levelKey), entry].sort(compareEntries);
+        this.tables[levelKey] = entries.slice(0, MAX_ENTRIES_PER_LEVEL);
+        this.save();
+        return entries.indexOf(entry) + 1;
+    }
+
+    exportJSON() {
+        return JSON.stringify({ version: EXPORT_VERSION, levels: this.tables }, null, 2);
+    }
+
+    // Merge an exported table into ours. Throws an Error describing what is wrong with the file.
+    importJSON(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (err) {
+            throw new Error('Scores file is not valid JSON');
+        }
+
+        if (!data || data.version !== EXPORT_VERSION || typeof data.levels !== 'object' || data.levels === null) {
+            throw new Error(`Scores file must be a version ${EXPORT_VERSION} leaderboard export`);
+        }
+
+        // Validate everything first so a bad file leaves our tables untouched
+        Object.entries(data.levels).forEach(([levelKey, entries]) => {
+            if (!Array.isArray(entries)) {
+                throw new Error(`Scores for "${levelKey}" must be a list`);
+            }
+            const invalid = entries.findIndex(entry => !isValidEntry(entry));
+            if (invalid !== -1) {
+                throw new Error(`Entry ${invalid + 1} of "${levelKey}" needs a name, score, accuracy and date`);
+            }
+        });
+
+        let imported = 0;
+        Object.entries(data.levels).forEach(([levelKey, entries]) => {
+            // Skip entries we already have, or that the file lists twice, so importing the same file
+            // twice is harmless
+            const existing = this.getEntries(levelKey);
+            const seen = new Set(existing.map(e => `${e.name}|${e.score}|${e.date}`));
+            const fresh = [];
+            entries.forEach(({ name, score, accuracy, date }) => {
+                const key = `${name}|${score}|${date}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                fresh.push({ name, score, accuracy, date });
+            });
+
+            // Only count the entries that made the cut
+            const table = [...existing, ...fresh].sort(compareEntries).slice(0, MAX_ENTRIES_PER_LEVEL);
+            imported += fresh.filter(entry => table.includes(entry)).length;
+            this.tables[levelKey] = table;
+        });
+
+        this.save();
+        return imported;
+    }
+}
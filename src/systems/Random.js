@@ -0,0 +1,55 @@
+/*
+Random.js
+The Random class is a small seedable pseudo-random number generator (mulberry32). A seed can be any
+string or number; strings are hashed into the generator's 32-bit state, so "daily-2026-10-19" or a
+friend's seed typed into the level selector always produce the same sequence. next() is a bound
+function returning a number in [0, 1), so it can be handed around wherever Math.random would be.
+
+Purpose
+Its purpose is to make a round reproducible: every gameplay roll (spawn points, target types,
+strafe timing, pellet spread) draws from one seeded generator, so the same seed and the same inputs
+always play out the same way, which is what replays and daily seed challenges rely on.
+*/
+
+// FNV-1a hash of a string into an unsigned 32-bit integer
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// A fresh seed for rounds played without one; it is recorded, so those rounds replay too
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+// Everyone playing on the same (UTC) day gets the same seed
+export function dailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+export class Random {
+    constructor(seed = randomSeed()) {
+        this.next = this.next.bind(this);
+        this.reseed(seed);
+    }
+
+    // Restart the sequence for a seed
+    reseed(seed) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    // A number in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
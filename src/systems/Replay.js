@@ -0,0 +1,205 @@
+/*
+Replay.js
+A replay is everything needed to play a round again through the same fixed-step simulation: the
+level config, the seed of the round's Random, the gun the player started with, and the player's
+input tick by tick. The ReplayRecorder writes it while a round is played and the ReplayPlayer reads
+it back. A tick is one GameClock step of the round (countdown included). Three streams are kept:
+
+- aim: the camera's yaw and pitch at the start of each tick
+- moves: the camera position after the player moved in each tick (levels with movement only)
+- events: [tick, type, ...] for inputs between ticks: 'fire' (with the aim at that moment),
+  'release', 'reload' and 'weapon' (with the gun's index); they apply before the next tick runs
+
+Aim and position are stored as whole numbers of AIM_UNIT and POSITION_UNIT. The game snaps the live
+camera to those units as well, so the numbers in the file are exactly what the simulation used.
+Both streams are delta encoded and only store ticks where something changed, as
+[ticks since the last entry, change of each value], which keeps a minute of play in tens of kilobytes.
+
+Purpose
+Its purpose is to let players save, share and review runs (and race each other on daily seeds)
+while keeping the file format in one place, away from the renderer and the DOM.
+*/
+import { validateLevel } from '../levels/schema.js';
+
+export const REPLAY_VERSION = 1;
+export const AIM_UNIT = 1e-5; // radians per stored aim step (well below a mouse count)
+export const POSITION_UNIT = 1e-4; // world units per stored position step
+
+const EVENT_TYPES = ['fire', 'release', 'reload', 'weapon'];
+
+// Whole number of units closest to value
+export function toSteps(value, unit) {
+    return Math.round(value / unit);
+}
+
+// The level as stored in a replay: schema defaults (null) are left out so it validates again on load
+function stripNulls(value) {
+    if (Array.isArray(value)) return value.map(stripNulls);
+    if (value === null || typeof value !== 'object') return value;
+
+    const stripped = {};
+    Object.entries(value).forEach(([key, field]) => {
+        if (field !== null) stripped[key] = stripNulls(field);
+    });
+    return stripped;
+}
+
+// Appends the changes of one delta-encoded stream
+class StreamWriter {
+    constructor(entries, size) {
+        this.entries = entries;
+        this.last = new Array(size).fill(0);
+        this.lastTick = 0;
+    }
+
+    write(tick, values) {
+        const deltas = values.map((value, i) => value - this.last[i]);
+        if (deltas.every(delta => delta === 0)) return;
+
+        this.entries.push([tick - this.lastTick, ...deltas]);
+        this.last = values;
+        this.lastTick = tick;
+    }
+}
+
+// Walks a delta-encoded stream forwards; ticks must be asked for in increasing order
+class StreamReader {
+    constructor(entries, size) {
+        this.entries = entries;
+        this.values = new Array(size).fill(0);
+        this.index = 0;
+        this.nextTick = entries.length > 0 ? entries[0][0] : Infinity;
+    }
+
+    at(tick) {
+        while (this.nextTick <= tick) {
+            const [, ...deltas] = this.entries[this.index];
+            deltas.forEach((delta, i) => {
+                this.values[i] += delta;
+            });
+            this.index++;
+            this.nextTick = this.index < this.entries.length ? this.nextTick + this.entries[this.index][0] : Infinity;
+        }
+        return this.values;
+    }
+}
+
+export class ReplayRecorder {
+    // level is the validated level config; weapon is the index of the gun the round starts with
+    constructor({ level, seed, weapon, player }) {
+        // custom is main.js's runtime flag for custom level files, not part of the level schema
+        const { custom, ...levelConfig } = level;
+        this.data = {
+            version: REPLAY_VERSION,
+            level: stripNulls(levelConfig),
+            seed,
+            weapon,
+            player,
+            date: new Date().toISOString(),
+            ticks: 0,
+            result: null,
+            aim: [],
+            moves: [],
+            events: []
+        };
+        this.aimStream = new StreamWriter(this.data.aim, 2);
+        this.moveStream = new StreamWriter(this.data.moves, 3);
+    }
+
+    // Aim in AIM_UNIT steps at the start of a tick
+    aim(tick, yaw, pitch) {
+        this.aimStream.write(tick, [yaw, pitch]);
+        this.data.ticks = tick;
+    }
+
+    // Camera position in POSITION_UNIT steps after the player moved in a tick
+    move(tick, x, y, z) {
+        this.moveStream.write(tick, [x, y, z]);
+    }
+
+    // An input applied after tick ticks have run
+    event(tick, type, ...args) {
+        this.data.events.push([tick, type, ...args]);
+    }
+
+    // Store how the round ended ({ reason, score }) so a viewer can tell whether playback matched
+    finish(result) {
+        this.data.result = result;
+    }
+
+    toJSON() {
+        return JSON.stringify(this.data);
+    }
+}
+
+function isIntegerList(list, length) {
+    return Array.isArray(list) && list.length === length && list.every(Number.isInteger);
+}
+
+// Parse and check a replay file; throws an Error that says what is wrong with it
+export function parseReplay(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (err) {
+        throw new Error('Replay file is not valid JSON');
+    }
+
+    if (!data || data.version !== REPLAY_VERSION) {
+        throw new Error(`Replay file must be a version ${REPLAY_VERSION} replay`);
+    }
+    if (typeof data.seed !== 'string' || !Number.isInteger(data.weapon) || !Number.isInteger(data.ticks) || data.ticks < 0) {
+        throw new Error('Replay file needs a seed, a starting weapon and a tick count');
+    }
+    if (!Array.isArray(data.aim) || !data.aim.every(entry => isIntegerList(entry, 3))) {
+        throw new Error('Replay aim must be a list of [ticks, yaw, pitch] entries');
+    }
+    if (!Array.isArray(data.moves) || !data.moves.every(entry => isIntegerList(entry, 4))) {
+        throw new Error('Replay moves must be a list of [ticks, x, y, z] entries');
+    }
+    if (!Array.isArray(data.events)) {
+        throw new Error('Replay events must be a list');
+    }
+    const badEvent = data.events.findIndex(event => !Array.isArray(event) || !Number.isInteger(event[0]) || !EVENT_TYPES.includes(event[1]));
+    if (badEvent !== -1) {
+        throw new Error(`Replay event ${badEvent + 1} must be [tick, ${EVENT_TYPES.join(' | ')}, ...]`);
+    }
+
+    return {
+        ...data,
+        player: typeof data.player === 'string' ? data.player : 'Unknown player',
+        level: validateLevel(data.level, 'Replay level')
+    };
+}
+
+export class ReplayPlayer {
+    // replay comes from parseReplay
+    constructor(replay) {
+        this.replay = replay;
+        this.aimStream = new StreamReader(replay.aim, 2);
+        this.moveStream = new StreamReader(replay.moves, 3);
+        this.eventIndex = 0;
+    }
+
+    // [yaw, pitch] in AIM_UNIT steps at the start of a tick
+    aimAt(tick) {
+        return this.aimStream.at(tick);
+    }
+
+    // [x, y, z] in POSITION_UNIT steps after the player moved in a tick
+    positionAt(tick) {
+        return this.moveStream.at(tick);
+    }
+
+    // The events recorded after tick ticks had run, as [type, ...args]
+    eventsAt(tick) {
+        const events = [];
+        const list = this.replay.events;
+        while (this.eventIndex < list.length && list[this.eventIndex][0] <= tick) {
+            const [, ...event] = list[this.eventIndex];
+            events.push(event);
+            this.eventIndex++;
+        }
+        return events;
+    }
+}
@@ -0,0 +1,54 @@
+/*
+RoundStats.js
+The RoundStats class keeps the per-round numbers shown on the results screen: shots fired, hits,
+the current and longest hit streak, and how long the player survived. The shooting handler records
+every shot, and the game clock adds survived time on each playing step.
+
+Purpose
+Its purpose is to collect round statistics in one place, independent of the DOM, so the game-over
+transition can hand a complete summary to the UIManager.
+*/
+
+export class RoundStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.shots = 0;
+        this.hits = 0;
+        this.streak = 0;
+        this.longestStreak = 0;
+        this.timeSurvived = 0; // seconds of playing time, excluding countdown and pauses
+    }
+
+    recordShot(hit) {
+        this.shots++;
+        if (hit) {
+            this.hits++;
+            this.streak++;
+            this.longestStreak = Math.max(this.longestStreak, this.streak);
+        } else {
+            this.streak = 0;
+        }
+    }
+
+    addTime(delta) {
+        this.timeSurvived += delta;
+    }
+
+    // Hit percentage (0-100); 0 when nothing was fired
+    get accuracy() {
+        return this.shots > 0 ? (this.hits / this.shots) * 100 : 0;
+    }
+
+    summary() {
+        return {
+            shots: this.shots,
+            hits: this.hits,
+            accuracy: this.accuracy,
+            longestStreak: this.longestStreak,
+            timeSurvived: this.timeSurvived
+        };
+    }
+}
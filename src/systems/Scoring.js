@@ -0,0 +1,112 @@
+/*
+Scoring.js
+The Scoring class turns hits into points. On top of a target type's base points it awards a
+precision bonus for hits close to the centre of the target, a speed bonus for kills made soon after
+the target spawned, and multiplies the total by a combo multiplier that grows with consecutive
+hitting shots. The combo resets on a miss, on shooting a decoy, or when no hit lands for
+COMBO_TIMEOUT seconds of game time. Plugins can add scoring rules of their own with addRule(); their
+extra points are added before the multiplier, like the built-in bonuses. A rule that throws is
+logged and counts as 0, so one broken plugin can't stop hits from scoring.
+
+Purpose
+Its purpose is to keep every scoring rule in one DOM-free place, so the shooting handler only
+reports what was hit and where, and the HUD can show the live multiplier and streak.
+*/
+
+export const SCORING = {
+    bullseyePrecision: 0.75, // precision (0 = edge, 1 = dead centre) for the full bonus
+    goodPrecision: 0.4, // precision for the half bonus
+    fastKillTime: 2, // seconds after spawn for which a kill earns a speed bonus
+    maxSpeedBonus: 2,
+    comboStep: 3, // hitting shots per multiplier step
+    comboIncrement: 0.5,
+    maxMultiplier: 4,
+    comboTimeout: 3 // seconds without a hit before the combo drops
+};
+
+export class Scoring {
+    constructor(rules = SCORING) {
+        this.rules = rules;
+        this.extraRules = []; // rule({ typeName, basePoints, precision, killTime, streak }) -> extra points
+        this.reset();
+    }
+
+    reset() {
+        this.streak = 0;
+        this.comboTimer = 0;
+    }
+
+    get multiplier() {
+        const steps = Math.floor(this.streak / this.rules.comboStep);
+        return Math.min(this.rules.maxMultiplier, 1 + steps * this.rules.comboIncrement);
+    }
+
+    // 1 at the centre of the target, 0 at (or beyond) its edge
+    static precision(distanceFromCentre, radius) {
+        return radius > 0 ? Math.max(0, 1 - distanceFromCentre / radius) : 0;
+    }
+
+    addRule(rule) {
+        this.extraRules.push(rule);
+    }
+
+    // Points for one hit. basePoints comes from the target type (0 for an armour hit that didn't kill,
+    // negative for decoys); killTime is seconds since the target spawned, or null if it survived.
+    scoreHit({ typeName = null, basePoints, precision, killTime = null }) {
+        if (basePoints < 0) {
+            return { points: basePoints, precisionBonus: 0, speedBonus: 0, ruleBonus: 0, multiplier: 1, bullseye: false };
+        }
+        if (basePoints === 0) {
+            return { points: 0, precisionBonus: 0, speedBonus: 0, ruleBonus: 0, multiplier: this.multiplier, bullseye: false };
+        }
+
+        const bullseye = precision >= this.rules.bullseyePrecision;
+        let precisionBonus = 0;
+        if (bullseye) {
+            precisionBonus = basePoints;
+        } else if (precision >= this.rules.goodPrecision) {
+            precisionBonus = Math.ceil(basePoints / 2);
+        }
+
+        let speedBonus = 0;
+        if (killTime !== null && killTime < this.rules.fastKillTime) {
+            speedBonus = Math.round(this.rules.maxSpeedBonus * (1 - killTime / this.rules.fastKillTime));
+        }
+
+        const hit = { typeName, basePoints, precision, killTime, streak: this.streak };
+        const ruleBonus = this.extraRules.reduce((sum, rule) => {
+            try {
+                return sum + (Number(rule(hit)) || 0);
+            } catch (err) {
+                console.error('Error in a scoring rule:', err);
+                return sum;
+            }
+        }, 0);
+
+        const multiplier = this.multiplier;
+        const points = Math.round((basePoints + precisionBonus + speedBonus + ruleBonus) * multiplier);
+        return { points, precisionBonus, speedBonus, ruleBonus, multiplier, bullseye };
+    }
+
+    // Call once per trigger pull after its hits were scored. A shot that only hit decoys counts as a miss.
+    registerShot(hit) {
+        if (hit) {
+            this.streak++;
+            this.comboTimer = this.rules.comboTimeout;
+        } else {
+            this.reset();
+        }
+    }
+
+    // Advance the combo timeout by one clock step. Returns true if the combo just ran out.
+    update(delta) {
+        if (this.streak === 0) return false;
+
+        this.comboTimer -= delta;
+        if (this.comboTimer <= 0) {
+            this.reset();
+            return true;
+        }
+        return false;
+    }
+}
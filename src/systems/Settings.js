@@ -0,0 +1,146 @@
+/*
+Settings.js
+The Settings class holds the player's preferences (mouse sensitivity, mouse DPI for the cm/360
+conversion, invert-Y, field of view, crosshair shape, colour, size, gap and thickness, master, SFX
+and music volume, and the controller's stick speed, deadzone and aim assist) and keeps them in
+localStorage. Every field is described in SETTING_FIELDS, which the UIManager uses to build the
+settings panel; values are clamped to the field's range on the way in, so a corrupt or outdated
+save falls back to sane values. Listeners registered with onChange() are
+told about every change, so settings apply live.
+
+Purpose
+Its purpose is to let players match the feel of the game they practise for, and to keep that
+between sessions without the game code knowing about storage or the DOM.
+*/
+
+const STORAGE_KEY = 'fps-shooter.settings';
+
+// PointerLockControls turns the camera by this many radians per mouse count at sensitivity 1
+export const RADIANS_PER_COUNT = 0.002;
+const CM_PER_INCH = 2.54;
+
+// type: number | integer | boolean | enum | color; the panel shows fields in this order
+export const SETTING_FIELDS = {
+    sensitivity: { label: 'Sensitivity', type: 'number', min: 0.05, max: 5, step: 0.01, default: 1 },
+    dpi: { label: 'Mouse DPI', type: 'integer', min: 100, max: 16000, step: 50, default: 800 },
+    invertY: { label: 'Invert Y', type: 'boolean', default: false },
+    fov: { label: 'Field of view', type: 'integer', min: 60, max: 120, step: 1, default: 75 },
+    crosshairShape: { label: 'Crosshair', type: 'enum', values: ['cross', 'dot', 'cross-dot', 'circle'], default: 'cross' },
+    crosshairColor: { label: 'Crosshair colour', type: 'color', default: '#ffffff' },
+    crosshairSize: { label: 'Crosshair size', type: 'integer', min: 4, max: 64, step: 1, default: 20 },
+    crosshairGap: { label: 'Crosshair gap', type: 'integer', min: 0, max: 20, step: 1, default: 0 },
+    crosshairThickness: { label: 'Crosshair thickness', type: 'integer', min: 1, max: 6, step: 1, default: 2 },
+    masterVolume: { label: 'Master volume', type: 'number', min: 0, max: 1, step: 0.05, default: 1 },
+    sfxVolume: { label: 'SFX volume', type: 'number', min: 0, max: 1, step: 0.05, default: 1 },
+    musicVolume: { label: 'Music volume', type: 'number', min: 0, max: 1, step: 0.05, default: 0.5 },
+    stickSpeed: { label: 'Stick look speed (°/s)', type: 'integer', min: 30, max: 720, step: 10, default: 240 },
+    stickDeadzone: { label: 'Stick deadzone', type: 'number', min: 0, max: 0.5, step: 0.01, default: 0.15 },
+    aimAssist: { label: 'Aim assist (controller)', type: 'enum', values: ['off', 'slowdown', 'pull', 'both'], default: 'slowdown' },
+    aimAssistStrength: { label: 'Aim assist strength', type: 'number', min: 0, max: 1, step: 0.05, default: 0.5 }
+};
+
+// Centimetres of mouse travel for a full turn
+export function cmPer360(sensitivity, dpi) {
+    const counts = (Math.PI * 2) / (RADIANS_PER_COUNT * sensitivity);
+    return (counts / dpi) * CM_PER_INCH;
+}
+
+// The sensitivity that gives a full turn in cm centimetres
+export function sensitivityForCm(cm, dpi) {
+    const counts = (cm / CM_PER_INCH) * dpi;
+    return (Math.PI * 2) / (RADIANS_PER_COUNT * counts);
+}
+
+// The value to store for a field, or undefined if value can't be used for it
+function sanitize(field, value) {
+    switch (field.type) {
+        case 'number':
+        case 'integer': {
+            let number = Number(value);
+            if (typeof value === 'boolean' || value === '' || value === null || !Number.isFinite(number)) return undefined;
+            if (field.type === 'integer') number = Math.round(number);
+            return Math.min(field.max, Math.max(field.min, number));
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : undefined;
+        case 'enum':
+            return field.values.includes(value) ? value : undefined;
+        case 'color':
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+        default:
+            return undefined;
+    }
+}
+
+export class Settings {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.listeners = [];
+        this.values = this.load();
+    }
+
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+        } catch (err) {
+            console.error('Settings load error:', err);
+        }
+
+        const values = {};
+        Object.entries(SETTING_FIELDS).forEach(([key, field]) => {
+            values[key] = sanitize(field, saved[key]) ?? field.default;
+        });
+        return values;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (err) {
+            console.error('Settings save error:', err);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    // Change one setting; unusable values are ignored. Returns the value now in effect.
+    set(key, value) {
+        const field = SETTING_FIELDS[key];
+        if (!field) throw new Error(`Unknown setting "${key}"`);
+
+        const sanitized = sanitize(field, value);
+        if (sanitized !== undefined && sanitized !== this.values[key]) {
+            this.values[key] = sanitized;
+            this.save();
+            this.emit(key);
+        }
+        return this.values[key];
+    }
+
+    reset() {
+        Object.entries(SETTING_FIELDS).forEach(([key, field]) => {
+            this.values[key] = field.default;
+        });
+        this.save();
+        Object.keys(SETTING_FIELDS).forEach(key => this.emit(key));
+    }
+
+    get cmPer360() {
+        return cmPer360(this.values.sensitivity, this.values.dpi);
+    }
+
+    // listener(key, value, settings) is called after every change; returns a function that unsubscribes
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    emit(key) {
+        this.listeners.forEach(listener => listener(key, this.values[key], this));
+    }
+}
@@ -0,0 +1,102 @@
+/*
+WaveDirector.js
+The WaveDirector class runs the wave mode of a level: it shows a "Wave N" intermission, starts the
+wave, ramps its target speed up while it lasts, and moves on only when every target of the wave has
+been destroyed. After the last wave it reports the campaign as cleared. It knows nothing about
+meshes or the DOM; main.js spawns the targets and shows the banner from its callbacks.
+
+Purpose
+Its purpose is to keep wave progression (which wave, intermission timing, speed ramp) in one place
+driven by the fixed-step game clock, so a level config can describe a whole escalating campaign.
+*/
+
+export class WaveDirector {
+    // callbacks: onIntermission(waveNumber, totalWaves), onWaveStart(waveConfig, waveNumber), onComplete()
+    constructor(levelConfig, callbacks = {}) {
+        this.levelConfig = levelConfig;
+        this.waves = levelConfig.waves;
+        this.callbacks = callbacks;
+        this.waveIndex = -1;
+        this.intermission = 0; // seconds of banner left before the next wave starts
+        this.waveElapsed = 0;
+        this.complete = false;
+    }
+
+    get waveNumber() {
+        return this.waveIndex + 1;
+    }
+
+    get totalWaves() {
+        return this.waves.length;
+    }
+
+    get inIntermission() {
+        return this.intermission > 0;
+    }
+
+    // Wave settings merged over the level so Target can use it like any level config
+    get currentWave() {
+        const wave = this.waves[this.waveIndex];
+        if (!wave) return null;
+
+        return {
+            ...this.levelConfig,
+            ...wave,
+            spawnPattern: wave.spawnPattern ?? this.levelConfig.spawnPattern,
+            spawn: wave.spawn ?? this.levelConfig.spawn,
+            targetSize: wave.targetSize ?? this.levelConfig.targetSize,
+            color: wave.color ?? this.levelConfig.color,
+            targetMix: wave.targetMix ?? this.levelConfig.targetMix
+        };
+    }
+
+    // Speed of the current wave's targets, including the ramp
+    get currentSpeed() {
+        const wave = this.waves[this.waveIndex];
+        return wave ? wave.targetSpeed + wave.speedRamp * this.waveElapsed : 0;
+    }
+
+    start() {
+        this.waveIndex = -1;
+        this.complete = false;
+        this.beginIntermission();
+    }
+
+    beginIntermission() {
+        this.intermission = Math.max(this.levelConfig.wavePause, Number.EPSILON);
+        if (this.callbacks.onIntermission) {
+            this.callbacks.onIntermission(this.waveIndex + 2, this.totalWaves);
+        }
+    }
+
+    // Advance by one clock step. remainingTargets is how many targets of the wave are still alive.
+    update(delta, remainingTargets) {
+        if (this.complete) return;
+
+        if (this.inIntermission) {
+            this.intermission -= delta;
+            if (this.intermission <= 0) {
+                this.intermission = 0;
+                this.waveIndex++;
+                this.waveElapsed = 0;
+                if (this.callbacks.onWaveStart) {
+                    this.callbacks.onWaveStart(this.currentWave, this.waveNumber);
+                }
+            }
+            return;
+        }
+
+        this.waveElapsed += delta;
+
+        if (remainingTargets === 0) {
+            if (this.waveNumber >= this.totalWaves) {
+                this.complete = true;
+                if (this.callbacks.onComplete) {
+                    this.callbacks.onComplete();
+                }
+            } else {
+                this.beginIntermission();
+            }
+        }
+    }
+}
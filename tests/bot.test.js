@@ -0,0 +1,64 @@
+/*
+bot.test.js
+Runs the Bot through whole GameSimulation rounds: it has to shoot, score and survive longer than a
+player who doesn't, and play the same round for the same seeds.
+
+Run with `npm test`.
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GameSimulation } from '../src/core/GameSimulation.js';
+import { Bot } from '../src/core/Bot.js';
+import { Random } from '../src/systems/Random.js';
+import { validateManifest } from '../src/levels/schema.js';
+
+const STEP = 1 / 60; // GameClock's fixed step
+const LEVELS = validateManifest(JSON.parse(readFileSync(new URL('../public/levels/levels.json', import.meta.url), 'utf8')));
+
+function level(id) {
+    return LEVELS.find(l => l.id === id);
+}
+
+// Play a whole round, with a bot of the given skill or (skill null) a player who never shoots
+function play(levelConfig, seed, skill = {}) {
+    let bot = null;
+    const simulation = new GameSimulation({}, { onAim: (delta) => bot && bot.update(delta) });
+    if (skill) bot = new Bot(simulation, skill, new Random(`bot-${seed}`).next);
+
+    simulation.start(levelConfig, { seed });
+    for (let steps = 0; simulation.running && steps < 1000 / STEP; steps++) {
+        simulation.update(STEP);
+    }
+    return simulation.summary();
+}
+
+test('the bot shoots targets and scores', () => {
+    const summary = play(level('beginner'), 'bot-test');
+
+    assert.ok(summary.shots > 0);
+    assert.ok(summary.hits > 0);
+    assert.ok(summary.score > 0);
+});
+
+test('the bot outlasts a player who never shoots', () => {
+    const intermediate = level('intermediate');
+    const idle = play(intermediate, 'bot-test', null);
+    const bot = play(intermediate, 'bot-test');
+
+    assert.ok(bot.timeSurvived > idle.timeSurvived, `bot ${bot.timeSurvived} s, idle ${idle.timeSurvived} s`);
+});
+
+test('the same seeds play the same bot round', () => {
+    const first = play(level('professional'), 'bot-test');
+    const second = play(level('professional'), 'bot-test');
+    assert.deepEqual(second, first);
+});
+
+test('a perfect bot hits more often than a sloppy one', () => {
+    const beginner = level('beginner');
+    const perfect = play(beginner, 'bot-test', { aimError: 0 });
+    const sloppy = play(beginner, 'bot-test', { aimError: 6 });
+
+    assert.ok(perfect.accuracy > sloppy.accuracy, `perfect ${perfect.accuracy}%, sloppy ${sloppy.accuracy}%`);
+});
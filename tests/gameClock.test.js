@@ -0,0 +1,42 @@
+/*
+gameClock.test.js
+Checks that the GameClock runs one fixed step per FIXED_STEP of real time, and that a hit-stop
+(freeze) holds game time still without making the lost steps up afterwards.
+
+Run with `npm test`.
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameClock, FIXED_STEP } from '../src/systems/GameClock.js';
+
+const FRAME = 1000 / 60; // ms between animation frames on a 60 Hz display
+
+// Start the clock, call before() (e.g. to freeze it), then feed it frames more frames and return how
+// many steps ran
+function run(clock, frames, before = () => {}) {
+    let steps = 0;
+    clock.onStep(() => steps++);
+    clock.update(0);
+    before();
+    for (let i = 1; i <= frames; i++) clock.update(i * FRAME * 1.001); // a hair slow, so float error can't drop a step
+    return steps;
+}
+
+test('one step runs per FIXED_STEP of real time', () => {
+    const clock = new GameClock();
+    assert.equal(run(clock, 60), 60);
+    assert.ok(Math.abs(clock.elapsed - 60 * FIXED_STEP) < 1e-9);
+});
+
+test('a freeze holds game time still for its length of real time', () => {
+    const clock = new GameClock();
+    assert.equal(run(clock, 60, () => clock.freeze(0.1)), 54); // six frames frozen
+});
+
+test('overlapping freezes don\'t add up', () => {
+    const clock = new GameClock();
+    assert.equal(run(clock, 60, () => {
+        clock.freeze(0.1);
+        clock.freeze(0.05);
+    }), 54);
+});
@@ -0,0 +1,55 @@
+/*
+leaderboard.test.js
+Checks the Leaderboard's score import: duplicates are skipped, whether we already have them or the
+file lists them twice, and the count it reports only includes entries that made the table.
+
+Run with `npm test`.
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Leaderboard } from '../src/systems/Leaderboard.js';
+
+// localStorage stand-in
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: (key) => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+function entry(name, score, day = 1) {
+    return { name, score, accuracy: 50, date: `2026-01-${String(day).padStart(2, '0')}T00:00:00.000Z` };
+}
+
+function exported(levels) {
+    return JSON.stringify({ version: 1, levels });
+}
+
+test('an entry the file lists twice is imported once', () => {
+    const leaderboard = new Leaderboard(memoryStorage());
+    const imported = leaderboard.importJSON(exported({ beginner: [entry('Ada', 500), entry('Ada', 500), entry('Bo', 300)] }));
+
+    assert.equal(imported, 2);
+    assert.deepEqual(leaderboard.getEntries('beginner').map(e => e.name), ['Ada', 'Bo']);
+});
+
+test('importing the same file twice imports nothing the second time', () => {
+    const leaderboard = new Leaderboard(memoryStorage());
+    const file = exported({ beginner: [entry('Ada', 500)] });
+
+    assert.equal(leaderboard.importJSON(file), 1);
+    assert.equal(leaderboard.importJSON(file), 0);
+    assert.equal(leaderboard.getEntries('beginner').length, 1);
+});
+
+test('entries that don\'t make the full table are not counted', () => {
+    const leaderboard = new Leaderboard(memoryStorage());
+    const top = Array.from({ length: 100 }, (_, i) => entry(`Top ${i}`, 1000 + i));
+    leaderboard.importJSON(exported({ beginner: top }));
+
+    const imported = leaderboard.importJSON(exported({ beginner: [entry('Low', 1), entry('High', 5000)] }));
+    assert.equal(imported, 1);
+    assert.equal(leaderboard.getEntries('beginner').length, 100);
+    assert.equal(leaderboard.getEntries('beginner')[0].name, 'High');
+});
@@ -0,0 +1,159 @@
+/*
+modes.test.js
+Checks the rules of the scenario modes (src/core/modes.js) on their Beginner levels: instant
+respawns and miss penalties in Gridshot, time on target in Tracking, kill-time scoring in Flick and
+vanishing targets in Reflex.
+
+Run with `npm test`.
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { GameSimulation, SimPhases } from '../src/core/GameSimulation.js';
+import { GAME_MODES } from '../src/core/modes.js';
+import { validateLevel, validateManifest } from '../src/levels/schema.js';
+
+const STEP = 1 / 60; // GameClock's fixed step
+const SEED = 12345;
+const FORWARD = new THREE.Vector3(0, 0, -1);
+const LEVELS = validateManifest(JSON.parse(readFileSync(new URL('../public/levels/levels.json', import.meta.url), 'utf8')));
+
+function level(id) {
+    return LEVELS.find(l => l.id === id);
+}
+
+// A simulation of a level, stepped through its countdown
+function playing(levelConfig, callbacks = {}) {
+    const sim = new GameSimulation({}, callbacks);
+    sim.start(levelConfig, { seed: SEED });
+    while (sim.phase === SimPhases.COUNTDOWN) sim.update(STEP);
+    return sim;
+}
+
+function aimAt(sim, point) {
+    sim.orientation.setFromUnitVectors(FORWARD, point.clone().sub(sim.position).normalize());
+}
+
+test('every mode has levels for each difficulty', () => {
+    Object.keys(GAME_MODES).forEach(mode => {
+        const names = LEVELS.filter(l => l.mode === mode).map(l => l.name);
+        ['Beginner', 'Intermediate', 'Professional'].forEach(name => assert.ok(names.includes(name), `${mode} has no ${name} level`));
+    });
+});
+
+test('Gridshot: a hit target pops up again at once in another cell', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+        const sim = new GameSimulation();
+        sim.start(level('gridshot-beginner'), { seed });
+        while (sim.phase === SimPhases.COUNTDOWN) sim.update(STEP);
+
+        for (let shot = 1; shot <= 10; shot++) {
+            const target = sim.targets[shot % sim.targets.length];
+            const before = target.position.clone();
+            aimAt(sim, before);
+            sim.pullTrigger();
+            sim.releaseTrigger();
+            for (let i = 0; i < 30; i++) sim.update(STEP); // past the gun's cooldown
+
+            assert.equal(target.hitPoints, 1);
+            assert.ok(target.position.distanceTo(before) > 1, `seed ${seed}, shot ${shot}: the target moved to a new cell`);
+            sim.targets.forEach(other => {
+                if (other !== target) assert.ok(other.position.distanceTo(target.position) > 1, `seed ${seed}, shot ${shot}: cells are not shared`);
+            });
+        }
+        assert.equal(sim.score, 1000);
+        assert.equal(sim.targets.length, 3);
+    }
+});
+
+test('Gridshot: a miss costs points, but the score never drops below 0', () => {
+    const sim = playing(level('gridshot-beginner'));
+    aimAt(sim, sim.targets[0].position);
+    sim.pullTrigger();
+    sim.releaseTrigger();
+
+    sim.orientation.setFromUnitVectors(FORWARD, new THREE.Vector3(0, -1, 0)); // at the floor
+    for (let i = 0; i < 6; i++) {
+        for (let j = 0; j < 30; j++) sim.update(STEP); // past the gun's cooldown
+        sim.pullTrigger();
+        sim.releaseTrigger();
+    }
+
+    assert.equal(sim.score, 0);
+    assert.equal(sim.summary().modeResults[0][1], 1); // targets hit
+});
+
+test('Tracking: holding the trigger on the target scores time on target without firing', () => {
+    let scoreUpdates = 0;
+    // The crosshair follows the target at the start of every step, like a perfect player's
+    const callbacks = { onScore: () => scoreUpdates++ };
+    const sim = playing(level('tracking-beginner'), callbacks);
+    callbacks.onAim = () => aimAt(sim, sim.targets[0].position);
+    const ammo = sim.weapon.ammo;
+
+    sim.pullTrigger();
+    for (let i = 0; i < 60; i++) sim.update(STEP);
+    sim.releaseTrigger();
+    for (let i = 0; i < 60; i++) sim.update(STEP);
+
+    assert.equal(sim.weapon.ammo, ammo);
+    assert.ok(Math.abs(sim.modeStats.trackedTime - 1) < 2 * STEP, `tracked ${sim.modeStats.trackedTime} s`);
+    assert.equal(sim.score, Math.round(sim.modeStats.trackedTime * GAME_MODES.tracking.trackPoints));
+    assert.equal(scoreUpdates, 60);
+});
+
+test('Tracking: held time is no shot, and accuracy is the share of it on target', () => {
+    const callbacks = {};
+    const sim = playing(level('tracking-beginner'), callbacks);
+
+    // Half a second on the target, then half a second aimed at the floor
+    callbacks.onAim = () => aimAt(sim, sim.targets[0].position);
+    sim.pullTrigger();
+    for (let i = 0; i < 30; i++) sim.update(STEP);
+    callbacks.onAim = () => sim.orientation.setFromUnitVectors(FORWARD, new THREE.Vector3(0, -1, 0));
+    for (let i = 0; i < 30; i++) sim.update(STEP);
+    sim.releaseTrigger();
+
+    const summary = sim.summary();
+    assert.equal(summary.shots, 0);
+    assert.ok(Math.abs(summary.heldTime - 1) < 2 * STEP, `held ${summary.heldTime} s`);
+    assert.ok(Math.abs(summary.accuracy - 50) < 5, `accuracy ${summary.accuracy}%`);
+    assert.deepEqual(summary.modeResults[2], ['On Target (trigger held)', `${summary.accuracy.toFixed(1)}%`]);
+});
+
+test('Tracking: the target strafes but stays within the level\'s spawn range', () => {
+    const levelConfig = level('tracking-professional');
+    const sim = playing(levelConfig);
+    const target = sim.targets[0];
+    let furthest = 0;
+    for (let i = 0; i < 30 / STEP; i++) {
+        sim.update(STEP);
+        furthest = Math.max(furthest, Math.abs(target.swayOffset));
+    }
+
+    assert.ok(furthest > 1, 'the target moved');
+    assert.ok(furthest <= levelConfig.spawnRange.x + levelConfig.targetSpeed * STEP * 2);
+});
+
+test('Flick: faster kills score more, down to a minimum', () => {
+    const { scoreKill } = GAME_MODES.flick;
+    assert.ok(scoreKill({ killTime: 0.2 }) > scoreKill({ killTime: 0.8 }));
+    assert.equal(scoreKill({ killTime: 10 }), 10);
+});
+
+test('Reflex: targets vanish after the level\'s targetLifetime', () => {
+    const levelConfig = level('reflex-beginner');
+    const sim = playing(levelConfig);
+    for (let i = 0; i < 10 / STEP; i++) sim.update(STEP);
+
+    const expected = Math.floor(10 / (levelConfig.targetLifetime / 1000)) * levelConfig.targetCount;
+    assert.ok(Math.abs(sim.modeStats.expired - expected) <= levelConfig.targetCount, `${sim.modeStats.expired} expired`);
+});
+
+test('a reflex level needs a targetLifetime', () => {
+    const { targetLifetime, ...withoutLifetime } = JSON.parse(readFileSync(new URL('../public/levels/levels.json', import.meta.url), 'utf8'))
+        .levels.find(l => l.id === 'reflex-beginner');
+    assert.ok(targetLifetime);
+    assert.throws(() => validateLevel(withoutLifetime), /targetLifetime is required in reflex mode/);
+});
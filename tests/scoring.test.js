@@ -0,0 +1,33 @@
+/*
+scoring.test.js
+Checks how the Scoring class adds the scoring rules of plugins to a hit's points.
+
+Run with `npm test`.
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scoring } from '../src/systems/Scoring.js';
+
+const HIT = { typeName: 'basic', basePoints: 10, precision: 0, killTime: null };
+
+test('a plugin rule adds its points before the multiplier', () => {
+    const scoring = new Scoring();
+    scoring.addRule(({ basePoints }) => basePoints);
+
+    const { points, ruleBonus } = scoring.scoreHit(HIT);
+    assert.equal(ruleBonus, 10);
+    assert.equal(points, 20);
+});
+
+test('a rule that throws is logged and counts as 0', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const scoring = new Scoring();
+    scoring.addRule(() => { throw new Error('broken plugin'); });
+    scoring.addRule(() => 5);
+
+    const { points, ruleBonus } = scoring.scoreHit(HIT);
+    assert.equal(ruleBonus, 5);
+    assert.equal(points, 15);
+    assert.equal(error.mock.callCount(), 1);
+    assert.equal(error.mock.calls[0].arguments[0], 'Error in a scoring rule:');
+});
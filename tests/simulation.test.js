@@ -0,0 +1,175 @@
+/*
+simulation.test.js
+Runs the GameSimulation headless for every level of public/levels/levels.json: a player standing at
+the origin, stepped with the game's fixed clock step instead of the real clock.
+
+Run with `npm test`.
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { GameSimulation, SimPhases, COUNTDOWN_TIME } from '../src/core/GameSimulation.js';
+import { EventBus } from '../src/systems/EventBus.js';
+import { WaveDirector } from '../src/systems/WaveDirector.js';
+import { validateLevel, validateManifest } from '../src/levels/schema.js';
+
+const STEP = 1 / 60; // GameClock's fixed step
+const SEED = 12345;
+const LEVELS = validateManifest(JSON.parse(readFileSync(new URL('../public/levels/levels.json', import.meta.url), 'utf8')));
+
+function level(id) {
+    return LEVELS.find(l => l.id === id);
+}
+
+// Step until the round ends (or maxSeconds of game time pass) and return the simulation
+function run(sim, maxSeconds = 1000) {
+    for (let steps = 0; sim.running && steps < maxSeconds / STEP; steps++) {
+        sim.update(STEP);
+    }
+    return sim;
+}
+
+// A player at the origin who never shoots
+function idleRound(levelConfig, seed = SEED) {
+    const sim = new GameSimulation();
+    sim.start(levelConfig, { seed });
+    return run(sim);
+}
+
+function stepThroughCountdown(sim) {
+    while (sim.phase === SimPhases.COUNTDOWN) sim.update(STEP);
+}
+
+for (const levelConfig of LEVELS) {
+    test(`${levelConfig.name}: an idle player's round ends within the match time`, () => {
+        const { phase, endReason, stats } = idleRound(levelConfig);
+
+        assert.equal(phase, SimPhases.OVER);
+        assert.ok(['hit', 'timeout'].includes(endReason), `ended with "${endReason}"`);
+        assert.ok(stats.timeSurvived <= levelConfig.gameTime + STEP);
+        if (endReason === 'timeout' && !levelConfig.waves) {
+            assert.ok(Math.abs(stats.timeSurvived - levelConfig.gameTime) < 2 * STEP);
+        }
+    });
+
+    test(`${levelConfig.name}: the same seed plays the same round`, () => {
+        const first = idleRound(levelConfig).summary();
+        const second = idleRound(levelConfig).summary();
+        assert.deepEqual(second, first);
+    });
+}
+
+test('Professional: a player at the origin who never shoots is overrun before the timer runs out', (t) => {
+    const professional = level('professional');
+    const survived = [1, 2, 3, 4, 5].map(seed => {
+        const sim = idleRound(professional, seed);
+        assert.equal(sim.endReason, 'hit');
+        assert.equal(sim.health, 0);
+        return sim.stats.timeSurvived;
+    });
+
+    assert.ok(Math.max(...survived) < professional.gameTime);
+    t.diagnostic(`survived ${survived.map(s => s.toFixed(2)).join(', ')} s`);
+});
+
+test('the countdown runs before play and the timer counts down from gameTime', () => {
+    const beginner = level('beginner');
+    const timer = [];
+    const sim = new GameSimulation({}, { onTimer: (timeLeft) => timer.push(Math.ceil(timeLeft)) });
+    sim.start(beginner, { seed: SEED });
+
+    stepThroughCountdown(sim);
+    // Summing 1/60 steps may leave a sliver of countdown for one more step
+    assert.ok(Math.abs(sim.tick - COUNTDOWN_TIME / STEP) <= 1, `countdown took ${sim.tick} steps`);
+    assert.equal(sim.stats.timeSurvived, 0);
+
+    for (let i = 0; i < 90; i++) sim.update(STEP); // 1.5 s
+    assert.deepEqual(timer, [beginner.gameTime - 1]);
+});
+
+test('the trigger does nothing during the countdown', () => {
+    const sim = new GameSimulation();
+    sim.start(level('beginner'), { seed: SEED });
+
+    sim.pullTrigger();
+    assert.equal(sim.stats.shots, 0);
+});
+
+test('aiming at a target and shooting it scores', () => {
+    const sim = new GameSimulation();
+    sim.start(level('beginner'), { seed: SEED });
+    stepThroughCountdown(sim);
+
+    const target = sim.aliveTargets()[0];
+    const direction = target.position.clone().sub(sim.position).normalize();
+    sim.orientation.setFromUnitVectors(new THREE.Vector3(0, 0, -1), direction);
+    sim.pullTrigger();
+
+    assert.equal(sim.stats.shots, 1);
+    assert.equal(sim.stats.hits, 1);
+    assert.ok(sim.score > 0);
+});
+
+// Shoot the first scoring target of a Beginner round, aimed `offset` of its radius to the side of its
+// centre, and return the targetHit event
+function shootOffCentre(offset) {
+    const events = new EventBus();
+    let hit = null;
+    events.on('targetHit', (payload) => { hit = payload; });
+    const sim = new GameSimulation({ events });
+    sim.start(level('beginner'), { seed: SEED });
+    stepThroughCountdown(sim);
+
+    const target = sim.aliveTargets().find(t => t.type.points > 0);
+    const toCentre = target.position.clone().sub(sim.position).normalize();
+    const side = new THREE.Vector3(0, 1, 0).cross(toCentre).normalize();
+    const aimPoint = target.position.clone().addScaledVector(side, offset * target.size / 2);
+    sim.orientation.setFromUnitVectors(new THREE.Vector3(0, 0, -1), aimPoint.sub(sim.position).normalize());
+    sim.pullTrigger();
+    return hit;
+}
+
+test('a shot through the centre of a target is a bullseye', () => {
+    const hit = shootOffCentre(0);
+    assert.ok(hit, 'the target was hit');
+    assert.equal(hit.bullseye, true);
+});
+
+test('a shot grazing the edge of a target hits it but is no bullseye', () => {
+    const hit = shootOffCentre(0.9);
+    assert.ok(hit, 'the target was hit');
+    assert.equal(hit.bullseye, false);
+});
+
+test('shooting at nothing is a miss and scores nothing', () => {
+    const sim = new GameSimulation();
+    sim.start(level('beginner'), { seed: SEED });
+    stepThroughCountdown(sim);
+
+    // Straight up, where no target spawns
+    sim.orientation.setFromUnitVectors(new THREE.Vector3(0, 0, -1), new THREE.Vector3(0, 1, 0));
+    sim.pullTrigger();
+
+    assert.equal(sim.stats.shots, 1);
+    assert.equal(sim.stats.hits, 0);
+    assert.equal(sim.score, 0);
+});
+
+test('a wave without a spawnPattern spawns the way its level does', () => {
+    const { waves, ...campaign } = JSON.parse(readFileSync(new URL('../public/levels/levels.json', import.meta.url), 'utf8'))
+        .levels.find(l => l.waves);
+    const levelConfig = validateLevel({
+        ...campaign,
+        spawnPattern: 'grid',
+        spawn: { columns: 4 },
+        waves: [{ targetCount: 3, targetSpeed: 1 }, { targetCount: 3, targetSpeed: 1, spawnPattern: 'ring' }]
+    });
+    const director = new WaveDirector(levelConfig);
+
+    director.waveIndex = 0;
+    assert.equal(director.currentWave.spawnPattern, 'grid');
+    assert.equal(director.currentWave.spawn.columns, 4);
+    director.waveIndex = 1;
+    assert.equal(director.currentWave.spawnPattern, 'ring');
+});
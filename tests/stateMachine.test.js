@@ -0,0 +1,103 @@
+/*
+stateMachine.test.js
+Checks the game flow of the GameStateMachine: which transitions it allows (including the restart
+edges into countdown), that it ignores the rest, and the order its exit, enter and change hooks run.
+
+Run with `npm test`.
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStateMachine, GameStates } from '../src/systems/GameStateMachine.js';
+
+const { LOADING, MENU, COUNTDOWN, PLAYING, PAUSED, GAME_OVER } = GameStates;
+
+// The flow the game relies on: state -> the states it may move to
+const ALLOWED = {
+    [LOADING]: [MENU],
+    [MENU]: [COUNTDOWN],
+    [COUNTDOWN]: [COUNTDOWN, PLAYING, PAUSED, MENU],
+    [PLAYING]: [COUNTDOWN, PAUSED, GAME_OVER, MENU],
+    [PAUSED]: [COUNTDOWN, PLAYING, MENU],
+    [GAME_OVER]: [COUNTDOWN, MENU]
+};
+
+test('the machine starts in loading', () => {
+    const machine = new GameStateMachine();
+    assert.equal(machine.state, LOADING);
+    assert.ok(machine.is(LOADING));
+    assert.ok(machine.is(MENU, LOADING));
+    assert.ok(!machine.is(MENU, PLAYING));
+});
+
+test('every listed transition is allowed and every other one is rejected', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    Object.values(GameStates).forEach(from => {
+        Object.values(GameStates).forEach(to => {
+            const allowed = ALLOWED[from].includes(to);
+            const machine = new GameStateMachine(from);
+
+            assert.equal(machine.can(to), allowed, `${from} -> ${to}`);
+            assert.equal(machine.transition(to), allowed, `${from} -> ${to}`);
+            assert.equal(machine.state, allowed ? to : from);
+        });
+    });
+});
+
+test('a rejected transition warns and runs no hooks', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const machine = new GameStateMachine(MENU);
+    const calls = [];
+    machine.onExit(MENU, () => calls.push('exit'));
+    machine.onEnter(GAME_OVER, () => calls.push('enter'));
+    machine.on('change', () => calls.push('change'));
+
+    assert.equal(machine.transition(GAME_OVER), false);
+    assert.deepEqual(calls, []);
+    assert.equal(machine.previous, null);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('a transition runs the exit hooks, then the enter hooks, then change', () => {
+    const machine = new GameStateMachine(MENU);
+    const calls = [];
+    const payload = { level: 'beginner' };
+    machine.onExit(MENU, (p, to) => calls.push(['exit', p, to]));
+    machine.onEnter(COUNTDOWN, (p, from) => calls.push(['enter', p, from]));
+    machine.on('change', (change) => calls.push(['change', change]));
+
+    assert.equal(machine.transition(COUNTDOWN, payload), true);
+    assert.deepEqual(calls, [
+        ['exit', payload, COUNTDOWN],
+        ['enter', payload, MENU],
+        ['change', { from: MENU, to: COUNTDOWN, payload }]
+    ]);
+    assert.equal(machine.previous, MENU);
+});
+
+test('an unsubscribed hook no longer runs', () => {
+    const machine = new GameStateMachine(LOADING);
+    let entered = 0;
+    const unsubscribe = machine.onEnter(MENU, () => entered++);
+    unsubscribe();
+
+    machine.transition(MENU);
+    assert.equal(entered, 0);
+});
+
+test('restarting mid-round or mid-countdown goes back into countdown', () => {
+    const machine = new GameStateMachine(MENU);
+    let countdowns = 0;
+    const exits = [];
+    machine.onEnter(COUNTDOWN, () => countdowns++);
+    machine.onExit(COUNTDOWN, (payload, to) => exits.push(to));
+
+    machine.transition(COUNTDOWN);
+    assert.equal(machine.transition(COUNTDOWN), true); // countdown -> countdown
+    machine.transition(PLAYING);
+    assert.equal(machine.transition(COUNTDOWN), true); // playing -> countdown
+
+    assert.equal(machine.state, COUNTDOWN);
+    assert.equal(machine.previous, PLAYING);
+    assert.equal(countdowns, 3);
+    assert.deepEqual(exits, [COUNTDOWN, PLAYING]);
+});